@@ -1,15 +1,48 @@
 // server.js - Fully Fixed with All Advanced Features
 require('dotenv').config();
 const express = require('express');
+const session = require('express-session');
 const multer = require('multer');
 const fs = require('fs');
 const path = require('path');
-const pdf = require('pdf-parse');
-const Tesseract = require('tesseract.js');
-const fetch = require('node-fetch');
-const mammoth = require('mammoth');
-const xlsx = require('xlsx');
+const crypto = require('crypto');
 const cors = require('cors');
+const { google } = require('googleapis');
+const { IndexStore } = require('./src/utils/indexStore');
+const { KeywordIndex } = require('./src/utils/keywordIndex');
+const { createEmbeddingProvider } = require('./src/utils/embeddings');
+const { llmClient, LLMError } = require('./src/utils/llmClient');
+const { IngestJobManager } = require('./src/utils/ingestJobs');
+const { ConversationStore } = require('./src/utils/conversationStore');
+const { TableStore } = require('./src/utils/tableStore');
+const { CollectionStore, DEFAULT_COLLECTION, collectionOf } = require('./src/utils/collectionStore');
+const { runTableQuery } = require('./src/utils/tableQuery');
+const { looksDelimited } = require('./src/utils/delimited');
+const { chunkDocument } = require('./src/utils/chunker');
+const { extractFile, csvToTable, defaultDelimiter } = require('./src/utils/extract');
+const { ANSWER_GENERATION_CONFIG, generateAnswer } = require('./src/utils/answerSchema');
+const authRoutes = require('./src/routes/auth');
+const driveRoutes = require('./src/routes/drive');
+const geminiRoutes = require('./src/routes/gemini');
+const { getSessionClient, isAuthError, requireGoogleAuth } = require('./src/utils/googleAuth');
+const { FileSessionStore } = require('./src/utils/sessionStore');
+const { DriveSync } = require('./src/utils/driveSync');
+const { downloadFile } = require('./src/utils/driveFiles');
+const { SSEServerTransport } = require('@modelcontextprotocol/sdk/server/sse.js');
+const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+const { createDocumentMcpServer } = require('./src/utils/mcpDocumentServer');
+const { EvaluationStore, normaliseDataset } = require('./src/utils/evaluation');
+const { apiKeys, authenticate, guardSessionOrigin, requireRole, hasRole } = require('./src/utils/apiKeys');
+const { rateLimit } = require('./src/utils/rateLimit');
+const { usage, trackCaller, currentCaller, requireQuota, assertQuota, secondsUntilReset } = require('./src/utils/usage');
+const adminRoutes = require('./src/routes/admin');
+
+// `node server.js --stdio` serves the Model Context Protocol over stdin/stdout instead
+// of listening for HTTP; stdout then carries the protocol, so logs go to stderr.
+// It opens the same data directory, so don't run it next to the HTTP server on one
+// VERTEXDB_DATA_DIR (connect to the server's /mcp/sse endpoint instead).
+const MCP_STDIO = process.argv.includes("--stdio");
+if (MCP_STDIO) console.log = console.info = console.error;
 const app = express();
 const upload = multer({ dest: 'uploads/' });
 
@@ -17,15 +50,56 @@ const upload = multer({ dest: 'uploads/' });
 const PORT = process.env.PORT || 5000;
 
 // ✅ Fix: CORS for Netlify
+const ALLOWED_ORIGINS = ['https://bemlkmrcldocuemt.netlify.app', 'http://localhost:3000'];
 app.use(cors({
-  origin: ['https://bemlkmrcldocuemt.netlify.app', 'http://localhost:3000'],
-  methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type'],
+  origin: ALLOWED_ORIGINS,
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Requested-With'],
   credentials: true
 }));
 
 app.use(express.json({ limit: '15mb' }));
 
+// Sessions hold the Google OAuth tokens. The frontend is on another site, so in
+// production the cookie must be SameSite=None and Secure; Render terminates TLS at
+// its proxy, hence trust proxy. Sessions are kept in sessions.json in the data
+// directory (src/utils/sessionStore.js), so they survive restarts.
+const isProduction = process.env.NODE_ENV === 'production';
+if (!process.env.SESSION_SECRET) {
+  console.warn('⚠️ SESSION_SECRET missing: using a random secret, sessions will not survive a restart');
+}
+app.set('trust proxy', 1);
+const sessionStore = new FileSessionStore();
+sessionStore.load();
+app.use(session({
+  name: 'kmrc.sid',
+  store: sessionStore,
+  secret: process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex'),
+  resave: false,
+  saveUninitialized: false,
+  cookie: {
+    httpOnly: true,
+    secure: isProduction,
+    sameSite: isProduction ? 'none' : 'lax',
+    maxAge: 7 * 24 * 60 * 60 * 1000
+  }
+}));
+
+// API key / key-session authentication (src/utils/apiKeys.js). Every route below is
+// guarded with requireRole: viewer reads and asks, editor ingests, admin clears and
+// manages keys and models. Only the landing page, health checks and /auth are open.
+apiKeys.load();
+if (!process.env.ADMIN_API_KEY && !apiKeys.list().length) {
+  console.warn('⚠️ No ADMIN_API_KEY and no API keys: set ADMIN_API_KEY to create keys via /admin/keys');
+}
+app.use(authenticate);
+app.use(guardSessionOrigin(ALLOWED_ORIGINS));
+
+// Routes that call Gemini are also guarded by rateLimit (per key and per IP) and
+// requireQuota (daily token quotas per caller, see src/utils/usage.js)
+usage.load();
+app.use(trackCaller);
+
 // ✅ Add root route handler to fix "CANNOT GET" error
 app.get('/', (req, res) => {
   res.send(`
@@ -52,8 +126,6 @@ app.get('/api/health', (req, res) => {
 class MCP_Server {
   constructor() {
     this.models = new Map();
-    this.trainingJobs = new Map();
-    this.nextJobId = 1;
   }
   
   async registerModel(modelId, config) {
@@ -75,47 +147,8 @@ class MCP_Server {
     return this.models.get(modelId);
   }
   
-  async startTraining(modelId, trainingData) {
-    try {
-      const jobId = `job-${this.nextJobId++}`;
-      this.trainingJobs.set(jobId, {
-        modelId: modelId,
-        status: 'training',
-        progress: 0,
-        createdAt: new Date().toISOString(),
-        trainingData: trainingData,
-        metrics: {}
-      });
-      // Simulate training process
-      this.simulateTraining(jobId);
-      return { success: true, jobId };
-    } catch (error) {
-      console.error("MCP startTraining error:", error);
-      throw error;
-    }
-  }
-  
-  async getTrainingStatus(jobId) {
-    return this.trainingJobs.get(jobId);
-  }
-  
-  async simulateTraining(jobId) {
-    let progress = 0;
-    const interval = setInterval(() => {
-      progress += Math.random() * 10;
-      if (progress >= 100) {
-        progress = 100;
-        clearInterval(interval);
-        this.trainingJobs.get(jobId).status = 'completed';
-        this.trainingJobs.get(jobId).completedAt = new Date().toISOString();
-        this.trainingJobs.get(jobId).metrics = {
-          accuracy: 0.95,
-          loss: 0.05,
-          trainingTime: "2h 15m"
-        };
-      }
-      this.trainingJobs.get(jobId).progress = progress;
-    }, 1000);
+  async removeModel(modelId) {
+    return this.models.delete(modelId);
   }
   
   async listModels() {
@@ -125,27 +158,79 @@ class MCP_Server {
 
 /* ------------------------------ Advanced VertexDB (Vector Database) ------------------------------ */
 class VertexDB {
-  constructor() {
+  constructor(store = null, embedder = createEmbeddingProvider()) {
     this.documents = [];
     this.embeddings = [];
     this.metadata = [];
     this.index = new Map(); // For fast retrieval
+    this.hashes = new Map(); // "collection:contentHash" -> id, to reuse vectors on ingest
+    this.keywords = new KeywordIndex(); // BM25 over chunk text
+    this.nextId = 1;
+    this.store = store; // Optional IndexStore for persistence
+    this.embedder = embedder; // Embedding provider: { id, dimension, embed() }
+  }
+  
+  // Rebuild in-memory arrays from the persisted snapshot + log
+  load() {
+    if (!this.store) return;
+    try {
+      const { documents, nextId } = this.store.load();
+      this.documents = [];
+      this.embeddings = [];
+      this.metadata = [];
+      this.index.clear();
+      this.hashes.clear();
+      this.keywords.clear();
+      documents.forEach(doc => this.insert(doc));
+      this.nextId = nextId;
+      // Fold the replayed log into a fresh snapshot so startup stays fast
+      if (this.store.needsCompaction()) this.compact();
+    } catch (error) {
+      console.error("VertexDB load error:", error);
+      throw error;
+    }
+  }
+  
+  insert(doc) {
+    this.documents.push(doc);
+    this.embeddings.push(doc.embedding);
+    this.metadata.push(doc.meta);
+    this.index.set(doc.id, doc);
+    if (doc.meta.contentHash) this.hashes.set(VertexDB.hashKey(doc.meta, doc.meta.contentHash), doc.id);
+    this.keywords.add(doc.id, doc.text);
+  }
+  
+  persist(entry) {
+    if (!this.store) return;
+    this.store.append(entry);
+    if (this.store.shouldCompact()) this.compact();
+  }
+  
+  // Runs in the background; until it completes the log still holds every change
+  compact() {
+    if (!this.store) return;
+    this.store.compact(this.documents, this.nextId)
+      .catch(error => console.error("VertexDB compaction error:", error));
   }
   
-  async addDocument(text, metadata = {}) {
+  // Pass `reuseFrom` (an indexed doc with identical text) to reuse its vector
+  // when it came from the active embedding provider
+  async addDocument(text, metadata = {}, reuseFrom = null) {
     try {
-      const embedding = await this.generateEmbedding(text);
+      const embedding = reuseFrom && reuseFrom.embeddingProvider === this.embedder.id
+        ? reuseFrom.embedding
+        : await this.generateEmbedding(text);
       const doc = {
-        id: this.documents.length + 1,
+        id: this.nextId++,
         text: text,
         embedding: embedding,
+        embeddingProvider: this.embedder.id,
+        embeddingDim: embedding.length,
         meta: metadata,
         createdAt: new Date().toISOString()
       };
-      this.documents.push(doc);
-      this.embeddings.push(embedding);
-      this.metadata.push(metadata);
-      this.index.set(doc.id, doc);
+      this.insert(doc);
+      this.persist({ op: "add", doc });
       return doc;
     } catch (error) {
       console.error("VertexDB addDocument error:", error);
@@ -153,63 +238,190 @@ class VertexDB {
     }
   }
   
-  async search(query, k = 5, filters = {}) {
+  // Bulk insert: items are { text, metadata, reuseFrom }. Texts are embedded through
+  // the provider's batch call; returns { doc } or { error } per item, in order.
+  async addDocuments(items) {
+    const reusable = (item) => item.reuseFrom && item.reuseFrom.embeddingProvider === this.embedder.id;
+    const toEmbed = items.filter(item => !reusable(item));
+    const vectors = toEmbed.length
+      ? await this.embedder.embedBatch(toEmbed.map(item => item.text))
+      : [];
+    const embedded = new Map(toEmbed.map((item, i) => [item, vectors[i]]));
+    return items.map(item => {
+      const embedding = reusable(item) ? item.reuseFrom.embedding : embedded.get(item);
+      if (embedding instanceof Error || !embedding) {
+        return { error: embedding || new Error("No embedding returned") };
+      }
+      const doc = {
+        id: this.nextId++,
+        text: item.text,
+        embedding: embedding,
+        embeddingProvider: this.embedder.id,
+        embeddingDim: embedding.length,
+        meta: item.metadata,
+        createdAt: new Date().toISOString()
+      };
+      this.insert(doc);
+      this.persist({ op: "add", doc });
+      return { doc };
+    });
+  }
+  
+  // Returns the top-k documents, each with `score` (cosine similarity; normalised BM25 in
+  // keyword mode) and `scores` ({ similarity, bm25, rrf }).
+  // options.mode: "vector" (cosine over embeddings), "keyword" (BM25) or "hybrid" (both, fused by RRF)
+  // options.minScore: drop hits whose score is below this value
+  // options.mmr / options.mmrLambda: maximal-marginal-relevance re-ranking for diversity
+  // options.onFallback(error): called when hybrid search could not embed the query and
+  // ranked by BM25 alone (scored like keyword mode) instead of failing
+  async search(query, k = 5, filters = {}, options = {}) {
     try {
-      const queryEmbedding = await this.generateEmbedding(query);
-      const similarities = this.embeddings.map((embedding, index) => ({
-        index: index,
-        similarity: this.cosineSimilarity(queryEmbedding, embedding),
-        document: this.documents[index],
-        metadata: this.metadata[index]
-      }));
+      const { mode = "vector", minScore = null, mmr = false, mmrLambda = 0.7, onFallback } = options;
+      if (!VertexDB.SEARCH_MODES.includes(mode)) {
+        throw new Error(`Unknown search mode: ${mode}`);
+      }
+      
+      const hits = new Map(); // id -> { document, similarity, bm25, rrf }
+      const hitFor = (document) => {
+        if (!hits.has(document.id)) hits.set(document.id, { document, similarity: null, bm25: null, rrf: 0 });
+        return hits.get(document.id);
+      };
       
-      // Apply filters
-      let filtered = similarities;
-      if (filters.system) {
-        filtered = filtered.filter(item => 
-          item.metadata.system && item.metadata.system.toLowerCase().includes(filters.system.toLowerCase())
-        );
+      let queryEmbedding = null;
+      if (mode !== "keyword") {
+        try {
+          queryEmbedding = await this.generateEmbedding(query, "RETRIEVAL_QUERY");
+        } catch (error) {
+          if (mode !== "hybrid") throw error;
+          console.warn(`Query embedding failed, hybrid search falls back to keywords: ${error.message}`);
+          if (onFallback) onFallback(error);
+        }
       }
-      if (filters.subsystem) {
-        filtered = filtered.filter(item => 
-          item.metadata.subsystem && item.metadata.subsystem.toLowerCase().includes(filters.subsystem.toLowerCase())
-        );
+      const ranking = mode === "hybrid" && !queryEmbedding ? "keyword" : mode;
+      
+      let vectorRanked = [];
+      if (queryEmbedding) {
+        vectorRanked = this.embeddings
+          .map((embedding, index) => ({
+            index: index,
+            similarity: this.cosineSimilarity(queryEmbedding, embedding),
+            document: this.documents[index],
+            metadata: this.metadata[index]
+          }))
+          // Vectors from another provider live in a different space: never compare them
+          .filter(item => item.document.embeddingProvider === this.embedder.id)
+          .filter(item => this.matchesFilters(item.metadata, filters))
+          .sort((a, b) => b.similarity - a.similarity)
+          .map(item => {
+            const hit = hitFor(item.document);
+            hit.similarity = item.similarity;
+            return hit;
+          });
       }
       
-      return filtered
-        .sort((a, b) => b.similarity - a.similarity)
-        .slice(0, k)
-        .map(item => item.document);
+      let keywordRanked = [];
+      if (mode !== "vector") {
+        const keywordHits = this.keywords.search(query)
+          .filter(h => this.matchesFilters(this.index.get(h.id).meta, filters));
+        const topBm25 = keywordHits.length ? keywordHits[0].score : 1;
+        keywordRanked = keywordHits.map(h => {
+          const hit = hitFor(this.index.get(h.id));
+          hit.bm25 = h.score / topBm25;
+          return hit;
+        });
+      }
+      
+      let ranked;
+      if (ranking === "vector") {
+        ranked = vectorRanked;
+      } else if (ranking === "keyword") {
+        ranked = keywordRanked;
+      } else {
+        // Reciprocal rank fusion: rrf = sum of 1 / (RRF_K + rank) across both rankings
+        vectorRanked.forEach((hit, rank) => { hit.rrf += 1 / (VertexDB.RRF_K + rank + 1); });
+        keywordRanked.forEach((hit, rank) => { hit.rrf += 1 / (VertexDB.RRF_K + rank + 1); });
+        ranked = Array.from(hits.values()).sort((a, b) => b.rrf - a.rrf);
+      }
+      
+      let scored = ranked.map(hit => ({
+        ...hit,
+        score: ranking === "keyword" ? hit.bm25 : hit.similarity
+      }));
+      if (minScore !== null && minScore !== undefined) {
+        scored = scored.filter(hit => hit.score >= minScore);
+      }
+      
+      const selected = mmr
+        ? this.maximalMarginalRelevance(scored.slice(0, k * VertexDB.MMR_POOL_FACTOR), k, mmrLambda)
+        : scored.slice(0, k);
+      
+      return selected.map(hit => ({
+        ...hit.document,
+        score: hit.score,
+        scores: { similarity: hit.similarity, bm25: hit.bm25, rrf: hit.rrf || null }
+      }));
     } catch (error) {
       console.error("VertexDB search error:", error);
       throw error;
     }
   }
   
-  async generateEmbedding(text) {
-    try {
-      ensureEnv();
-      // ✅ FIXED: Removed extra spaces in URL
-      const url = `https://generativelanguage.googleapis.com/v1beta/models/text-embedding-004:embedContent?key=${process.env.GEMINI_API_KEY}`;
-      const body = {
-        content: { parts: [{ text: text.slice(0, 6000) }] },
-        taskType: "RETRIEVAL_DOCUMENT",
-      };
-      const res = await fetch(url, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(body),
+  // Greedily pick hits that are relevant but unlike the ones already picked.
+  // lambda = 1 is pure relevance, lambda = 0 is pure diversity.
+  maximalMarginalRelevance(candidates, k, lambda = 0.7) {
+    const remaining = candidates.slice();
+    const selected = [];
+    while (selected.length < k && remaining.length) {
+      let bestIndex = 0;
+      let bestValue = -Infinity;
+      remaining.forEach((candidate, i) => {
+        const redundancy = selected.length
+          ? Math.max(...selected.map(s =>
+              candidate.document.embeddingProvider === s.document.embeddingProvider
+                ? this.cosineSimilarity(candidate.document.embedding, s.document.embedding)
+                : 0))
+          : 0;
+        const value = lambda * (candidate.score || 0) - (1 - lambda) * redundancy;
+        if (value > bestValue) {
+          bestValue = value;
+          bestIndex = i;
+        }
       });
-      const raw = await res.text();
-      if (!res.ok) {
-        throw new Error(`Gemini embed error ${res.status}: ${raw}`);
-      }
-      const data = JSON.parse(raw);
-      return data.embedding?.values || [];
+      selected.push(remaining.splice(bestIndex, 1)[0]);
+    }
+    return selected;
+  }
+  
+  // filters.collections: exact collection names; the other filters narrow within them
+  matchesFilters(metadata, filters = {}) {
+    if (filters.collections && !filters.collections.includes(collectionOf(metadata))) {
+      return false;
+    }
+    if (filters.system && !(metadata.system && metadata.system.toLowerCase().includes(filters.system.toLowerCase()))) {
+      return false;
+    }
+    if (filters.subsystem && !(metadata.subsystem && metadata.subsystem.toLowerCase().includes(filters.subsystem.toLowerCase()))) {
+      return false;
+    }
+    if (filters.fileName && metadata.fileName !== filters.fileName) {
+      return false;
+    }
+    // Page ranges only match paged (PDF) chunks that overlap the range
+    if (filters.pageFrom != null || filters.pageTo != null) {
+      if (metadata.pageStart == null) return false;
+      if (filters.pageFrom != null && metadata.pageEnd < filters.pageFrom) return false;
+      if (filters.pageTo != null && metadata.pageStart > filters.pageTo) return false;
+    }
+    return true;
+  }
+  
+  // Throws when the provider fails: a missing vector must never be faked
+  async generateEmbedding(text, taskType = "RETRIEVAL_DOCUMENT") {
+    try {
+      return await this.embedder.embed(text, taskType);
     } catch (error) {
-      console.error("Gemini embed error:", error);
-      // Return random embedding as fallback
-      return Array.from({ length: 768 }, () => Math.random() * 2 - 1);
+      console.error(`Embedding error (${this.embedder.id}):`, error.message);
+      throw error;
     }
   }
   
@@ -223,11 +435,21 @@ class VertexDB {
     return dot / (Math.sqrt(na) * Math.sqrt(nb) + 1e-12);
   }
   
-  clear() {
+  // Clears one collection, or the whole index when none is given
+  clear(collection = null) {
+    if (collection) {
+      return this.deleteByIds(this.documents.filter(doc => collectionOf(doc.meta) === collection).map(doc => doc.id));
+    }
+    const removed = this.documents.length;
     this.documents = [];
     this.embeddings = [];
     this.metadata = [];
     this.index.clear();
+    this.hashes.clear();
+    this.keywords.clear();
+    // Logged rather than compacted, so a snapshot still being written cannot bring the documents back
+    this.persist({ op: "clear" });
+    return removed;
   }
   
   getStats() {
@@ -235,22 +457,132 @@ class VertexDB {
       totalDocuments: this.documents.length,
       totalEmbeddings: this.embeddings.length,
       models: mcpServer.models.size,
-      trainingJobs: mcpServer.trainingJobs.size
+      evaluationRuns: evaluations.runs.size,
+      storage: this.store ? this.store.getStats() : null,
+      embeddingProvider: { id: this.embedder.id, dimension: this.embedder.dimension },
+      documentsByProvider: this.documents.reduce((acc, doc) => {
+        const provider = doc.embeddingProvider || "unknown";
+        acc[provider] = (acc[provider] || 0) + 1;
+        return acc;
+      }, {})
     };
   }
   
+  // { name: { documents, files } } for every collection with indexed documents
+  collectionStats() {
+    const stats = {};
+    const files = {};
+    for (const doc of this.documents) {
+      const name = collectionOf(doc.meta);
+      if (!stats[name]) {
+        stats[name] = { documents: 0, files: 0 };
+        files[name] = new Set();
+      }
+      stats[name].documents++;
+      files[name].add(doc.meta.fileName || "Untitled");
+    }
+    Object.keys(stats).forEach(name => { stats[name].files = files[name].size; });
+    return stats;
+  }
+  
+  // Number of documents in the given collections
+  count(collections) {
+    return this.documents.filter(doc => collections.includes(collectionOf(doc.meta))).length;
+  }
+  
   getById(id) {
     return this.index.get(id);
   }
   
+  // An indexed document with this content in the collection, if any
+  findByContentHash(hash, collection = DEFAULT_COLLECTION) {
+    return this.index.get(this.hashes.get(VertexDB.hashKey({ collection }, hash)));
+  }
+  
   getAll() {
     return this.documents;
   }
+  
+  // Group indexed chunks/rows of one collection by source file
+  listDocuments(collection = DEFAULT_COLLECTION) {
+    const byFile = new Map();
+    for (const doc of this.documents) {
+      if (collectionOf(doc.meta) !== collection) continue;
+      const fileName = doc.meta.fileName || "Untitled";
+      if (!byFile.has(fileName)) {
+        byFile.set(fileName, {
+          fileName,
+          collection,
+          mimeType: doc.meta.mimeType || "",
+          system: doc.meta.system || "",
+          subsystem: doc.meta.subsystem || "",
+          chunks: 0,
+          rows: 0,
+          firstIngestedAt: doc.createdAt,
+          lastIngestedAt: doc.createdAt
+        });
+      }
+      const entry = byFile.get(fileName);
+      if (doc.meta.type === "row") entry.rows++;
+      else entry.chunks++;
+      if (doc.createdAt < entry.firstIngestedAt) entry.firstIngestedAt = doc.createdAt;
+      if (doc.createdAt > entry.lastIngestedAt) entry.lastIngestedAt = doc.createdAt;
+    }
+    return Array.from(byFile.values());
+  }
+  
+  getByFileName(fileName, collection = DEFAULT_COLLECTION) {
+    return this.documents.filter(doc => doc.meta.fileName === fileName && collectionOf(doc.meta) === collection);
+  }
+  
+  // Remove documents by id, keeping documents/embeddings/metadata/index aligned
+  deleteByIds(ids) {
+    const remove = new Set(ids);
+    if (!remove.size) return 0;
+    const kept = this.documents.filter(doc => !remove.has(doc.id));
+    const removed = this.documents.length - kept.length;
+    // Kept documents stay in the keyword index; only the removed ones leave it
+    this.documents = kept;
+    this.embeddings = kept.map(doc => doc.embedding);
+    this.metadata = kept.map(doc => doc.meta);
+    this.index.clear();
+    this.hashes.clear();
+    kept.forEach(doc => {
+      this.index.set(doc.id, doc);
+      if (doc.meta.contentHash) this.hashes.set(VertexDB.hashKey(doc.meta, doc.meta.contentHash), doc.id);
+    });
+    remove.forEach(id => this.keywords.remove(id));
+    if (removed) this.persist({ op: "delete", ids: Array.from(remove) });
+    return removed;
+  }
+  
+  deleteByFileName(fileName, collection = DEFAULT_COLLECTION) {
+    return this.deleteByIds(this.getByFileName(fileName, collection).map(doc => doc.id));
+  }
 }
 
+// Vectors of identical chunks are only shared within a collection
+VertexDB.hashKey = (meta, hash) => `${collectionOf(meta)}:${hash}`;
+
+VertexDB.SEARCH_MODES = ["vector", "keyword", "hybrid"];
+VertexDB.RRF_K = 60;
+VertexDB.MMR_POOL_FACTOR = 4; // MMR re-ranks the top k * factor hits
+
 /* ------------------------------ Initialize Services ------------------------------ */
-const vertexDB = new VertexDB();
+const vertexDB = new VertexDB(new IndexStore());
 const mcpServer = new MCP_Server();
+const ingestJobs = new IngestJobManager();
+const conversations = new ConversationStore();
+const tableStore = new TableStore();
+const collectionStore = new CollectionStore();
+const driveSync = new DriveSync();
+const evaluations = new EvaluationStore();
+vertexDB.load();
+conversations.load();
+tableStore.load();
+collectionStore.load();
+driveSync.load();
+evaluations.load();
 
 // Register default models
 (async () => {
@@ -259,6 +591,7 @@ const mcpServer = new MCP_Server();
       name: 'Gemini Pro',
       version: '1.5',
       type: 'llm',
+      model: 'gemini-1.5-pro',
       description: 'Advanced language model for document analysis',
       parameters: {
         temperature: 0.7,
@@ -271,6 +604,7 @@ const mcpServer = new MCP_Server();
       name: 'Gemini Flash',
       version: '1.5',
       type: 'llm',
+      model: 'gemini-1.5-flash',
       description: 'Fast, efficient model for quick document analysis',
       parameters: {
         temperature: 0.3,
@@ -282,266 +616,309 @@ const mcpServer = new MCP_Server();
     console.error("Failed to register models:", error);
   }
 })();
+llmClient.useRegistry(mcpServer);
 
 /* ------------------------------ Globals ------------------------------ */
 const VECTOR_STORE = [];
 let NEXT_ID = 1;
-const CHUNK_SIZE = 1200;     // characters
-const CHUNK_OVERLAP = 200;   // characters
+const CHUNK_TOKENS = parseInt(process.env.CHUNK_TOKENS || "300", 10); // token budget per chunk
 const MAX_SNIPPETS = 12;     // top-k snippets for answer
-const MAX_EMBED_TEXT = 6000; // safety limit per embed call
+const HISTORY_TURNS = 4;     // earlier conversation turns fed back into /ask
+const ASK_ROUTES = ["auto", "rag", "table"]; // /ask answer paths; "auto" sends aggregate questions to tables
 
 /* ------------------------------ Utilities ------------------------------ */
-function ensureEnv() {
-  if (!process.env.GEMINI_API_KEY) {
-    throw new Error("GEMINI_API_KEY missing in environment.");
-  }
+function contentHash(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
 }
 
-function readTextSafe(filePath) {
-  try { return fs.readFileSync(filePath, "utf8"); } catch { return ""; }
+// NEW: guess if text is tabular (comma/tab/semicolon/pipe separated) for HTML-table biasing
+function looksTabular(text) {
+  if (!text) return false;
+  return looksDelimited(text);
 }
 
-function chunkText(text, size = CHUNK_SIZE, overlap = CHUNK_OVERLAP) {
-  if (!text) return [];
-  const chunks = [];
-  let i = 0;
-  while (i < text.length) {
-    const end = Math.min(i + size, text.length);
-    const chunk = text.slice(i, end);
-    chunks.push(chunk);
-    if (end === text.length) break;
-    i = end - overlap;
-    if (i < 0) i = 0;
-  }
-  return chunks;
+/* ------------------------------ Tabular helpers (ADDED) ------------------------------ */
+// Build a row-string suitable for embedding (stable keys, compact)
+function tableRowToString(fileName, sheetName, headers, rowObj) {
+  const pairs = headers.map(h => `${h}: ${String(rowObj[h] ?? "").toString().replace(/\s+/g, " ").trim()}`);
+  return `FILE: ${fileName}${sheetName?` | SHEET: ${sheetName}`:""} | ${pairs.join(" | ")}`;
 }
 
-function toCSVTable(rows) {
-  if (!rows || !rows.length) return "";
-  return rows.map(r => r.map(v => String(v ?? "").replace(/\r?\n/g, " ").trim()).join(",")).join("\n");
+/* ------------------------------ Gemini API ------------------------------ */
+// Text generation goes through llmClient (src/utils/llmClient.js), which applies
+// the registered model's parameters; modelId defaults to LLM_DEFAULT_MODEL.
+async function llmText(prompt, options = {}) {
+  return (await llmClient.generate(prompt, options)).text;
 }
 
-// NEW: guess if text is tabular (CSV-like) for HTML-table biasing
-function looksTabular(text) {
-  if (!text) return false;
-  const lines = text.split(/\r?\n/).slice(0, 30);
-  const commas = lines.map(l => (l.match(/,/g) || []).length);
-  const avg = commas.reduce((a,b)=>a+b,0) / Math.max(1, commas.length);
-  return avg > 2; // crude but effective
+/* ------------------------------ Indexing (Ingest) ------------------------------ */
+// Dedup state for (re)indexing one file. Repeated chunks within the file are skipped,
+// chunks unchanged since the previous version of this file (or identical to a chunk
+// of another file) reuse that embedding, and the previous version is dropped once
+// the new one is in. Every file keeps its own copy of a shared chunk, so deleting or
+// replacing one file never takes text out of another.
+// New chunks are queued by add() and embedded in batches by finish().
+// All of this happens within one collection.
+class FileIngest {
+  constructor(fileName, fileHash, collection = DEFAULT_COLLECTION) {
+    this.fileName = fileName;
+    this.fileHash = fileHash;
+    this.collection = collection;
+    this.previous = vertexDB.getByFileName(fileName, collection);
+    this.previousByHash = new Map(this.previous.map(d => [d.meta.contentHash, d]));
+    this.seen = new Set();
+    this.pending = [];
+    this.counts = { added: 0, skipped: 0, replaced: 0, failed: 0 };
+    this.errors = [];
+  }
+  
+  // Same file name with identical content is already indexed (by the active provider): nothing to do
+  isUnchanged() {
+    const current = (d) => d.meta.fileHash === this.fileHash && d.embeddingProvider === vertexDB.embedder.id;
+    if (!this.previous.length || !this.previous.every(current)) return false;
+    this.counts.skipped = this.previous.length;
+    return true;
+  }
+  
+  add(text, metadata) {
+    const hash = contentHash(text);
+    if (this.seen.has(hash)) {
+      this.counts.skipped++;
+      return;
+    }
+    this.seen.add(hash);
+    const prior = this.previousByHash.get(hash) || vertexDB.findByContentHash(hash, this.collection);
+    this.pending.push({
+      text,
+      metadata: { ...metadata, collection: this.collection, fileHash: this.fileHash, contentHash: hash },
+      reuseFrom: prior
+    });
+  }
+  
+  // Keep the previous version if any chunk failed, so a half-embedded
+  // replacement never hides content that was searchable before
+  async finish() {
+    const results = await vertexDB.addDocuments(this.pending);
+    results.forEach((result, i) => {
+      if (result.doc) {
+        this.counts.added++;
+        return;
+      }
+      // Left out rather than indexed without a real vector
+      const { metadata } = this.pending[i];
+      this.counts.failed++;
+      this.errors.push({ fileName: this.fileName, position: metadata.position, type: metadata.type, error: result.error.message });
+    });
+    this.pending = [];
+    if (!this.counts.failed) {
+      this.counts.replaced = vertexDB.deleteByIds(this.previous.map(d => d.id));
+    }
+    return this.result();
+  }
+  
+  result() {
+    return { ...this.counts, errors: this.errors };
+  }
 }
 
-// NEW: robust internal base URL (for self-calls on Render/any host)
-function getInternalBase() {
-  const port = process.env.PORT || 3000;
-  // prefer 127.0.0.1 to avoid egress
-  return `http://127.0.0.1:${port}`;
+function addCounts(total, counts) {
+  total.added += counts.added;
+  total.skipped += counts.skipped;
+  total.replaced += counts.replaced;
+  total.failed += counts.failed;
+  total.errors.push(...counts.errors);
+  return total;
 }
 
-/* ------------------------------ Tabular helpers (ADDED) ------------------------------ */
-// Extract XLSX into structured tables: [{sheetName, headers, rows:[{col:val}]}]
-function xlsxToTables(filePath) {
-  const workbook = xlsx.readFile(filePath);
-  const tables = [];
-  workbook.SheetNames.forEach(sheetName => {
-    const sheet = workbook.Sheets[sheetName];
-    const aoa = xlsx.utils.sheet_to_json(sheet, { header: 1, raw: true });
-    if (!aoa || !aoa.length) return;
-    const headers = (aoa[0] || []).map(h => String(h ?? "").trim());
-    const rows = [];
-    for (let r = 1; r < aoa.length; r++) {
-      const rowAoA = aoa[r] || [];
-      const obj = {};
-      headers.forEach((h, i) => {
-        obj[h || `Col${i+1}`] = rowAoA[i] ?? "";
-      });
-      // skip entirely empty rows
-      const anyVal = Object.values(obj).some(v => String(v).trim() !== "");
-      if (anyVal) rows.push(obj);
-    }
-    if (rows.length) tables.push({ sheetName, headers, rows });
-  });
-  return tables;
-}
-
-// Convert CSV/plain text that looks like CSV into table structure
-function csvToTable(text) {
-  const lines = text.split(/\r?\n/).filter(l => l.trim().length);
-  if (lines.length < 2) return null;
-  const split = (s) => s.split(","); // simple CSV; adjust if needed
-  const headers = split(lines[0]).map(h => h.trim());
-  const rows = lines.slice(1).map(line => {
-    const vals = split(line);
-    const obj = {};
-    headers.forEach((h,i)=> obj[h || `Col${i+1}`] = (vals[i] ?? "").trim());
-    return obj;
-  });
-  if (!rows.length) return null;
-  return { headers, rows };
+// pageStart/pageEnd metadata for chunks of paged (PDF) text; chunks with OCR'd
+// pages also get the lowest OCR confidence (0-100) among them
+function pageMeta(chunk, pages) {
+  if (chunk.pageStart === null) return {};
+  const meta = { pageStart: chunk.pageStart, pageEnd: chunk.pageEnd };
+  const ocrPages = (pages || []).filter(p => p.ocr && p.page >= chunk.pageStart && p.page <= chunk.pageEnd);
+  if (ocrPages.length) {
+    meta.ocr = true;
+    meta.ocrConfidence = Math.min(...ocrPages.map(p => p.ocrConfidence));
+  }
+  return meta;
 }
 
-// Build a row-string suitable for embedding (stable keys, compact)
-function tableRowToString(fileName, sheetName, headers, rowObj) {
-  const pairs = headers.map(h => `${h}: ${String(rowObj[h] ?? "").toString().replace(/\s+/g, " ").trim()}`);
-  return `FILE: ${fileName}${sheetName?` | SHEET: ${sheetName}`:""} | ${pairs.join(" | ")}`;
+// Finish the ingest, then keep the file's parsed tables queryable (an empty list drops
+// tables of an older version). When finish() keeps the previous chunks because some
+// failed, the previous tables stay too, so chunks and tables describe the same version.
+async function finishWithTables(ingest, tables, meta) {
+  const result = await ingest.finish();
+  if (!result.failed || !ingest.previous.length) {
+    tableStore.setFileTables(ingest.fileName, tables, meta, ingest.collection);
+  }
+  return result;
 }
 
-/* ------------------------------ Extraction ------------------------------ */
-async function extractText(filePath, mimetype) {
+// Index one uploaded file (multer file object). Returns { added, skipped, replaced, failed, errors }.
+async function ingestUploadedFile(file, { system = "", subsystem = "", collection = DEFAULT_COLLECTION } = {}) {
+  const filePath = file.path;
+  const mimetype = file.mimetype || "application/octet-stream";
+  const fileName = file.originalname;
+  const ingest = new FileIngest(fileName, contentHash(fs.readFileSync(filePath)), collection);
+  if (ingest.isUnchanged()) {
+    fs.unlink(filePath, () => {});
+    return ingest.result();
+  }
+  // Same extraction pipeline as Drive file reads: text, PDF pages and tables
+  const { text: raw, pages, tables } = await extractFile(filePath, mimetype, fileName);
+  // cleanup temp file
+  fs.unlink(filePath, () => {});
+  // --- ADD: structured row-level ingestion for spreadsheets/CSVs ---
+  let didRowIngest = false;
   try {
-    // PDF
-    if (mimetype === "application/pdf") {
-      const data = await pdf(fs.readFileSync(filePath));
-      if (data.text && data.text.trim()) return data.text;
-      // Fallback OCR for scanned PDFs (last resort)
-      const ocr = await Tesseract.recognize(filePath, "eng");
-      return ocr.data.text || "";
-    }
-    // Images (png/jpg/jpeg/webp/tiff/bmp)
-    if (/^image\//i.test(mimetype)) {
-      const ocr = await Tesseract.recognize(filePath, "eng");
-      return ocr.data.text || "";
-    }
-    // DOCX
-    if (mimetype === "application/vnd.openxmlformats-officedocument.wordprocessingml.document") {
-      const result = await mammoth.extractRawText({ path: filePath });
-      return result.value || "";
-    }
-    // XLSX / XLS  (kept as before – returns joined CSV-like text)
-    if (
-      mimetype === "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" ||
-      mimetype === "application/vnd.ms-excel"
-    ) {
-      const workbook = xlsx.readFile(filePath);
-      let out = [];
-      workbook.SheetNames.forEach(sheetName => {
-        const sheet = xlsx.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, raw: true });
-        // Keep only non-empty rows
-        const filtered = sheet.filter(row => row && row.some(c => c !== null && c !== undefined && String(c).trim() !== ""));
-        if (filtered.length) {
-          out.push(`Sheet: ${sheetName}\n${toCSVTable(filtered)}`);
+    if (tables.length) {
+      for (const t of tables) {
+        for (let i = 0; i < t.rows.length; i++) {
+          const rowStr = tableRowToString(fileName, t.sheetName, t.headers, t.rows[i]);
+          ingest.add(rowStr, {
+            type: "row",
+            sheetName: t.sheetName,
+            headers: t.headers,
+            fileName: fileName,
+            mimeType: mimetype,
+            system: system,
+            subsystem: subsystem,
+            position: i
+          });
         }
-      });
-      return out.join("\n");
+      }
+      didRowIngest = true;
     }
-    // CSV / plain text
-    if (mimetype === "text/csv" || mimetype === "text/plain") {
-      return readTextSafe(filePath);
+  } catch (e) {
+    console.warn("Row-level XLSX/CSV ingest warning:", e.message);
+  }
+  if (raw && raw.trim()) {
+    // PDFs are chunked page by page so every chunk knows its pages
+    const chunks = chunkDocument(pages || raw, { tokenBudget: CHUNK_TOKENS });
+    for (let i = 0; i < chunks.length; i++) {
+      const chunk = chunks[i];
+      ingest.add(chunk.text, {
+        type: didRowIngest ? "chunk+row" : "chunk",
+        fileName: fileName,
+        mimeType: mimetype,
+        system: system,
+        subsystem: subsystem,
+        position: i,
+        section: chunk.section,
+        headingPath: chunk.headingPath,
+        ...pageMeta(chunk, pages)
+      });
     }
-    // JSON/XML/HTML: return as string (best effort)
-    if (/json|xml|html/.test(mimetype)) {
-      return readTextSafe(filePath);
+  }
+  return finishWithTables(ingest, tables, { mimeType: mimetype, system, subsystem });
+}
+
+// Index one JSON document ({ fileName|name, text, mime, system, subsystem, meta }).
+// Returns { added, skipped, replaced, failed, errors }.
+async function ingestJsonDocument(doc, { collection = DEFAULT_COLLECTION } = {}) {
+  const fileName = doc.fileName || doc.name || "Untitled";
+  const mimetype = doc.mime || doc.meta || "text/plain";
+  const system = doc.system || "";
+  const subsystem = doc.subsystem || "";
+  const raw = String(doc.text || "");
+  if (!raw.trim()) return { added: 0, skipped: 0, replaced: 0, failed: 0, errors: [] };
+  const ingest = new FileIngest(fileName, contentHash(raw), collection);
+  if (ingest.isUnchanged()) return ingest.result();
+  // --- ADD: if incoming text looks like CSV, also index row-level ---
+  let tables = [];
+  try {
+    if ((mimetype === "text/csv" || looksTabular(raw))) {
+      const parsed = csvToTable(raw, defaultDelimiter(mimetype, fileName));
+      if (parsed) {
+        tables = [{ sheetName: "", headers: parsed.headers, rows: parsed.rows }];
+        for (let idx = 0; idx < parsed.rows.length; idx++) {
+          const rowStr = tableRowToString(fileName, "", parsed.headers, parsed.rows[idx]);
+          ingest.add(rowStr, {
+            type: "row",
+            headers: parsed.headers,
+            fileName: fileName,
+            mimeType: mimetype,
+            system: system,
+            subsystem: subsystem,
+            position: idx
+          });
+        }
+      }
     }
-    return "";
-  } catch (err) {
-    console.error("❌ extractText error:", err);
-    return "";
+  } catch (e) {
+    console.warn("Row-level CSV ingest warning:", e.message);
+  }
+  const chunks = chunkDocument(raw, { tokenBudget: CHUNK_TOKENS });
+  for (let i = 0; i < chunks.length; i++) {
+    const chunk = chunks[i];
+    ingest.add(chunk.text, {
+      type: "chunk",
+      fileName: fileName,
+      mimeType: mimetype,
+      system: system,
+      subsystem: subsystem,
+      position: i,
+      section: chunk.section,
+      headingPath: chunk.headingPath,
+      meta: doc.meta || {}
+    });
   }
+  return finishWithTables(ingest, tables, { mimeType: mimetype, system, subsystem });
 }
 
-/* ------------------------------ Gemini API ------------------------------ */
-async function geminiEmbed(text) {
-  ensureEnv();
-  // ✅ FIXED: Removed extra spaces in URL
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/text-embedding-004:embedContent?key=${process.env.GEMINI_API_KEY}`;
-  const body = {
-    content: { parts: [{ text: text.slice(0, MAX_EMBED_TEXT) }] },
-    taskType: "RETRIEVAL_DOCUMENT",
-  };
-  const res = await fetch(url, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(body),
-  });
-  const raw = await res.text();
-  if (!res.ok) {
-    throw new Error(`Gemini embed error ${res.status}: ${raw}`);
-  }
-  const data = JSON.parse(raw);
-  return data.embedding?.values || [];
-}
-
-async function geminiChat(prompt, model = "gemini-1.5-flash") {
-  ensureEnv();
-  // ✅ FIXED: Removed extra spaces in URL
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${process.env.GEMINI_API_KEY}`;
-  const body = { contents: [{ parts: [{ text: prompt }] }] };
-  const res = await fetch(url, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(body),
+// `async=true` (query string or body) runs the ingest as a background job
+function wantsAsync(req) {
+  const flag = req.query.async ?? req.body?.async;
+  return flag === true || flag === "true" || flag === "1";
+}
+
+function jobAccepted(res, job) {
+  res.status(202).json({
+    ok: true,
+    jobId: job.id,
+    statusUrl: `/ingest/jobs/${job.id}`,
+    eventsUrl: `/ingest/jobs/${job.id}/events`,
+    message: "Ingestion job started"
   });
-  const raw = await res.text();
-  if (!res.ok) throw new Error(`Gemini chat error ${res.status}: ${raw}`);
-  const data = JSON.parse(raw);
-  return data.candidates?.[0]?.content?.parts?.[0]?.text || "No response from Gemini.";
 }
 
-/* ------------------------------ Indexing (Ingest) ------------------------------ */
 // 1) Multipart ingest (upload files directly)
-app.post("/ingest", upload.array("files"), async (req, res) => {
+app.post("/ingest", requireRole("editor"), rateLimit, requireQuota("embedding"), upload.array("files"), trackCaller, async (req, res) => {
   try {
     if (!req.files?.length) return res.status(400).json({ error: "No files uploaded" });
-    let added = 0;
-    for (const file of req.files) {
-      const filePath = file.path;
-      const mimetype = file.mimetype || "application/octet-stream";
-      const fileName = file.originalname;
-      const system = req.body.system || "";
-      const subsystem = req.body.subsystem || "";
-      // --- ADD: structured row-level ingestion for spreadsheets/CSVs ---
-      let didRowIngest = false;
-      try {
-        if (
-          mimetype === "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" ||
-          mimetype === "application/vnd.ms-excel"
-        ) {
-          const tables = xlsxToTables(filePath);
-          for (const t of tables) {
-            for (let i = 0; i < t.rows.length; i++) {
-              const rowStr = tableRowToString(fileName, t.sheetName, t.headers, t.rows[i]);
-              await vertexDB.addDocument(rowStr, {
-                type: "row",
-                sheetName: t.sheetName,
-                headers: t.headers,
-                fileName: fileName,
-                mimeType: mimetype,
-                system: system,
-                subsystem: subsystem,
-                position: i
-              });
-              added++;
-            }
-          }
-          didRowIngest = true;
+    const { collection, status, error } = resolveCollection(req.body.collection);
+    if (error) {
+      req.files.forEach(file => fs.unlink(file.path, () => {}));
+      return res.status(status).json({ error });
+    }
+    const options = {
+      system: req.body.system || "",
+      subsystem: req.body.subsystem || "",
+      collection
+    };
+    if (wantsAsync(req)) {
+      const job = ingestJobs.start(
+        req.files.map(file => ({ fileName: file.originalname, file })),
+        {
+          source: "upload",
+          runItem: (item) => ingestUploadedFile(item.file, options),
+          discardItem: (item) => fs.unlink(item.file.path, () => {})
         }
-      } catch (e) {
-        console.warn("Row-level XLSX ingest warning:", e.message);
-      }
-      const raw = await extractText(filePath, mimetype);
-      // cleanup temp file
-      fs.unlink(filePath, () => {});
-      if (!raw || !raw.trim()) continue;
-      // Keep original chunking path (non-destructive)
-      const chunks = chunkText(raw);
-      for (let i = 0; i < chunks.length; i++) {
-        const chunk = chunks[i];
-        await vertexDB.addDocument(chunk, {
-          type: didRowIngest ? "chunk+row" : "chunk",
-          fileName: fileName,
-          mimeType: mimetype,
-          system: system,
-          subsystem: subsystem,
-          position: i
-        });
-        added++;
-      }
+      );
+      return jobAccepted(res, job);
+    }
+    const counts = { added: 0, skipped: 0, replaced: 0, failed: 0, errors: [] };
+    for (const file of req.files) {
+      addCounts(counts, await ingestUploadedFile(file, options));
     }
     res.json({ 
       ok: true, 
-      added, 
-      total: vertexDB.getStats().totalDocuments,
-      message: "Files ingested into VertexDB successfully"
+      ...counts, 
+      collection,
+      total: vertexDB.count([collection]),
+      message: counts.failed
+        ? `Files ingested into VertexDB with ${counts.failed} failed embeddings`
+        : "Files ingested into VertexDB successfully"
     });
   } catch (err) {
     console.error("❌ /ingest error:", err);
@@ -550,61 +927,31 @@ app.post("/ingest", upload.array("files"), async (req, res) => {
 });
 
 // 2) JSON ingest (from your Drive frontend that already has text extracted client-side)
-app.post("/ingest-json", async (req, res) => {
+app.post("/ingest-json", requireRole("editor"), rateLimit, requireQuota("embedding"), async (req, res) => {
   try {
     const { documents } = req.body;
     if (!documents?.length) return res.status(400).json({ error: "No documents provided" });
-    let added = 0;
+    const { collection, status, error } = resolveCollection(req.body.collection);
+    if (error) return res.status(status).json({ error });
+    if (wantsAsync(req)) {
+      const job = ingestJobs.start(
+        documents.map(doc => ({ fileName: doc.fileName || doc.name || "Untitled", doc })),
+        { source: "json", runItem: (item) => ingestJsonDocument(item.doc, { collection }) }
+      );
+      return jobAccepted(res, job);
+    }
+    const counts = { added: 0, skipped: 0, replaced: 0, failed: 0, errors: [] };
     for (const doc of documents) {
-      const fileName = doc.fileName || doc.name || "Untitled";
-      const mimetype = doc.mime || doc.meta || "text/plain";
-      const system = doc.system || "";
-      const subsystem = doc.subsystem || "";
-      const raw = String(doc.text || "");
-      if (!raw.trim()) continue;
-      // --- ADD: if incoming text looks like CSV, also index row-level ---
-      try {
-        if ((mimetype === "text/csv" || looksTabular(raw))) {
-          const parsed = csvToTable(raw);
-          if (parsed) {
-            parsed.rows.forEach(async (row, idx) => {
-              const rowStr = tableRowToString(fileName, "", parsed.headers, row);
-              await vertexDB.addDocument(rowStr, {
-                type: "row",
-                headers: parsed.headers,
-                fileName: fileName,
-                mimeType: mimetype,
-                system: system,
-                subsystem: subsystem,
-                position: idx
-              });
-              added++;
-            });
-          }
-        }
-      } catch (e) {
-        console.warn("Row-level CSV ingest warning:", e.message);
-      }
-      const chunks = chunkText(raw);
-      for (let i = 0; i < chunks.length; i++) {
-        const chunk = chunks[i];
-        await vertexDB.addDocument(chunk, {
-          type: "chunk",
-          fileName: fileName,
-          mimeType: mimetype,
-          system: system,
-          subsystem: subsystem,
-          position: i,
-          meta: doc.meta || {}
-        });
-        added++;
-      }
+      addCounts(counts, await ingestJsonDocument(doc, { collection }));
     }
     res.json({ 
       ok: true, 
-      added, 
-      total: vertexDB.getStats().totalDocuments,
-      message: "Documents ingested into VertexDB successfully"
+      ...counts, 
+      collection,
+      total: vertexDB.count([collection]),
+      message: counts.failed
+        ? `Documents ingested into VertexDB with ${counts.failed} failed embeddings`
+        : "Documents ingested into VertexDB successfully"
     });
   } catch (err) {
     console.error("❌ /ingest-json error:", err);
@@ -612,19 +959,361 @@ app.post("/ingest-json", async (req, res) => {
   }
 });
 
-// Clear the VertexDB
-app.post("/clear", (req, res) => {
-  vertexDB.clear();
+/* ------------------------------ Ingestion Jobs ------------------------------ */
+app.get("/ingest/jobs", requireRole("viewer"), (req, res) => {
+  res.json({
+    ok: true,
+    jobs: ingestJobs.list(),
+    message: "Ingestion jobs retrieved successfully"
+  });
+});
+
+app.get("/ingest/jobs/:jobId", requireRole("viewer"), (req, res) => {
+  const job = ingestJobs.get(req.params.jobId);
+  if (!job) return res.status(404).json({ error: "Ingestion job not found" });
+  res.json({
+    ok: true,
+    job,
+    message: "Ingestion job status retrieved successfully"
+  });
+});
+
+// Server-Sent Events: one "progress" event per update, then "done" when the job finishes
+app.get("/ingest/jobs/:jobId/events", requireRole("viewer"), (req, res) => {
+  const job = ingestJobs.get(req.params.jobId);
+  if (!job) return res.status(404).json({ error: "Ingestion job not found" });
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    "Connection": "keep-alive"
+  });
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const finish = (snapshot) => {
+    send("done", snapshot);
+    ingestJobs.off("update", onUpdate);
+    res.end();
+  };
+  const onUpdate = (snapshot) => {
+    if (snapshot.id !== job.id) return;
+    if (ingestJobs.isFinished(snapshot)) return finish(snapshot);
+    send("progress", snapshot);
+  };
+  if (ingestJobs.isFinished(job)) return finish(job);
+  send("progress", job);
+  ingestJobs.on("update", onUpdate);
+  req.on("close", () => ingestJobs.off("update", onUpdate));
+});
+
+app.post("/ingest/jobs/:jobId/cancel", requireRole("editor"), (req, res) => {
+  const job = ingestJobs.cancel(req.params.jobId);
+  if (!job) return res.status(404).json({ error: "Ingestion job not found" });
+  res.json({
+    ok: true,
+    job,
+    message: ingestJobs.isFinished(job) ? "Ingestion job already finished" : "Ingestion job cancellation requested"
+  });
+});
+
+// Clear one collection (body.collection, default "default"); the collection itself stays
+app.post("/clear", requireRole("admin"), (req, res) => {
+  const { collection, status, error } = resolveCollection(req.body?.collection);
+  if (error) return res.status(status).json({ error });
+  const removed = vertexDB.clear(collection);
+  tableStore.clear(collection);
   res.json({ 
     ok: true, 
+    collection,
+    removed,
     total: 0,
-    message: "VertexDB cleared successfully"
+    message: `Collection ${collection} cleared successfully`
+  });
+});
+
+/* ------------------------------ Collections ------------------------------ */
+// See src/utils/collectionStore.js. Requests name their collection with `collection`
+// (body or query string); searches can span several with `collections` (an array,
+// or a comma-separated string in query strings). Both default to "default".
+
+// Returns { collection } or { status, error } for an unknown collection
+function resolveCollection(name) {
+  const collection = name || DEFAULT_COLLECTION;
+  if (typeof collection !== "string") return { status: 400, error: "collection must be a string" };
+  if (!collectionStore.has(collection)) return { status: 404, error: `Collection not found: ${collection}` };
+  return { collection };
+}
+
+// Returns { collections } (deduplicated names) or { status, error }
+function resolveSearchCollections({ collection, collections } = {}) {
+  let names = collections ?? [collection || DEFAULT_COLLECTION];
+  if (typeof names === "string") names = names.split(",").map(n => n.trim()).filter(Boolean);
+  if (!Array.isArray(names) || !names.length || names.some(n => typeof n !== "string")) {
+    return { status: 400, error: "collections must be a non-empty array of collection names" };
+  }
+  const unknown = names.filter(n => !collectionStore.has(n));
+  if (unknown.length) return { status: 404, error: `Collection not found: ${unknown.join(", ")}` };
+  return { collections: Array.from(new Set(names)) };
+}
+
+// Registry entry plus what is indexed in it
+function collectionSummary(collection) {
+  const stats = vertexDB.collectionStats()[collection.name] || { documents: 0, files: 0 };
+  return { ...collection, ...stats, tables: tableStore.all([collection.name]).length };
+}
+
+app.get("/collections", requireRole("viewer"), (req, res) => {
+  res.json({
+    ok: true,
+    collections: collectionStore.list().map(collectionSummary),
+    message: "Collections retrieved successfully"
+  });
+});
+
+app.post("/collections", requireRole("editor"), (req, res) => {
+  const { name, description = "" } = req.body || {};
+  if (collectionStore.has(name)) return res.status(409).json({ error: `Collection already exists: ${name}` });
+  try {
+    const collection = collectionStore.create({ name, description });
+    res.status(201).json({
+      ok: true,
+      collection: collectionSummary(collection),
+      message: "Collection created successfully"
+    });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.get("/collections/:name", requireRole("viewer"), (req, res) => {
+  const collection = collectionStore.get(req.params.name);
+  if (!collection) return res.status(404).json({ error: `Collection not found: ${req.params.name}` });
+  res.json({
+    ok: true,
+    collection: collectionSummary(collection),
+    documents: vertexDB.listDocuments(collection.name),
+    message: "Collection retrieved successfully"
+  });
+});
+
+// Drop a collection with everything indexed in it
+app.delete("/collections/:name", requireRole("admin"), (req, res) => {
+  const name = req.params.name;
+  if (name === DEFAULT_COLLECTION) {
+    return res.status(409).json({ error: "The default collection cannot be dropped; use POST /clear to empty it" });
+  }
+  if (!collectionStore.has(name)) return res.status(404).json({ error: `Collection not found: ${name}` });
+  const removed = vertexDB.clear(name);
+  tableStore.clear(name);
+  collectionStore.remove(name);
+  res.json({
+    ok: true,
+    collection: name,
+    removed,
+    message: "Collection dropped successfully"
+  });
+});
+
+/* ------------------------------ Document Management ------------------------------ */
+// File names are unique per collection: every route here takes ?collection= (default "default")
+
+// List ingested files with chunk/row counts
+app.get("/documents", requireRole("viewer"), (req, res) => {
+  const { collection, status, error } = resolveCollection(req.query.collection);
+  if (error) return res.status(status).json({ error });
+  const documents = vertexDB.listDocuments(collection);
+  res.json({
+    ok: true,
+    collection,
+    documents,
+    total: documents.length,
+    message: "Documents retrieved successfully"
+  });
+});
+
+// Show all chunks/rows indexed for one file
+app.get("/documents/:fileName", requireRole("viewer"), (req, res) => {
+  const { collection, status, error } = resolveCollection(req.query.collection);
+  if (error) return res.status(status).json({ error });
+  const docs = vertexDB.getByFileName(req.params.fileName, collection);
+  if (!docs.length) return res.status(404).json({ error: "Document not found" });
+  res.json({
+    ok: true,
+    collection,
+    fileName: req.params.fileName,
+    chunks: docs.map(d => ({
+      id: d.id,
+      type: d.meta.type,
+      position: d.meta.position,
+      sheetName: d.meta.sheetName,
+      section: d.meta.section,
+      pageStart: d.meta.pageStart,
+      pageEnd: d.meta.pageEnd,
+      ocrConfidence: d.meta.ocrConfidence,
+      text: d.text,
+      createdAt: d.createdAt
+    })),
+    message: "Document retrieved successfully"
+  });
+});
+
+// Drop a file's chunks, rows and tables; returns the number of indexed entries removed
+function removeIndexedFile(fileName, collection = DEFAULT_COLLECTION) {
+  const removed = vertexDB.deleteByFileName(fileName, collection);
+  tableStore.deleteFile(fileName, collection);
+  return removed;
+}
+
+// Delete every chunk/row indexed for one file
+app.delete("/documents/:fileName", requireRole("editor"), (req, res) => {
+  const { collection, status, error } = resolveCollection(req.query.collection);
+  if (error) return res.status(status).json({ error });
+  const removed = removeIndexedFile(req.params.fileName, collection);
+  if (!removed) return res.status(404).json({ error: "Document not found" });
+  res.json({
+    ok: true,
+    collection,
+    removed,
+    total: vertexDB.count([collection]),
+    message: "Document deleted successfully"
+  });
+});
+
+// Replace one file: accepts a multipart upload (field "files") or JSON { text, mime, system, subsystem, meta }
+app.put("/documents/:fileName", requireRole("editor"), rateLimit, requireQuota("embedding"), upload.array("files"), trackCaller, async (req, res) => {
+  try {
+    const fileName = req.params.fileName;
+    const file = req.files?.[0];
+    if (!file && !req.body.text) {
+      return res.status(400).json({ error: "Provide a file upload or text to replace the document" });
+    }
+    const { collection, status, error } = resolveCollection(req.query.collection || req.body.collection);
+    if (error) {
+      if (file) fs.unlink(file.path, () => {});
+      return res.status(status).json({ error });
+    }
+    let counts;
+    // Ingesting under an existing file name drops the old version once the new one is indexed
+    if (file) {
+      file.originalname = fileName;
+      counts = await ingestUploadedFile(file, {
+        system: req.body.system || "",
+        subsystem: req.body.subsystem || "",
+        collection
+      });
+    } else {
+      counts = await ingestJsonDocument({ ...req.body, fileName }, { collection });
+    }
+    res.json({
+      ok: true,
+      ...counts,
+      collection,
+      total: vertexDB.count([collection]),
+      message: "Document replaced successfully"
+    });
+  } catch (err) {
+    console.error("❌ PUT /documents/:fileName error:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ------------------------------ Google Auth & Drive ------------------------------ */
+app.use('/auth', authRoutes);
+app.use('/drive', driveRoutes);
+app.use('/admin', adminRoutes);
+
+// One Drive sync at a time: planning happens in the request, ingestion in a job
+let driveSyncPlanning = false;
+let driveSyncJobId = null;
+function driveSyncRunning() {
+  const job = driveSyncJobId && ingestJobs.get(driveSyncJobId);
+  return driveSyncPlanning || Boolean(job && !ingestJobs.isFinished(job));
+}
+
+// Download one planned Drive file and index it under its folder path
+async function syncDriveFile(drive, folderId, item) {
+  const { buffer, mimeType } = await downloadFile(drive, item.file);
+  // A moved file keeps its content; drop the old copy first so its chunks are not
+  // treated as duplicates of the new one
+  if (item.previousFileName) removeIndexedFile(item.previousFileName);
+  fs.mkdirSync("uploads", { recursive: true });
+  const tmpPath = path.join("uploads", `drive-${crypto.randomUUID()}`);
+  fs.writeFileSync(tmpPath, buffer);
+  const counts = await ingestUploadedFile(
+    { path: tmpPath, mimetype: mimeType, originalname: item.fileName },
+    { system: item.system, subsystem: item.subsystem }
+  );
+  if (!counts.failed) driveSync.markSynced(folderId, item);
+  return counts;
+}
+
+// Sync a Drive folder tree (body.folderId, default MAIN_DRIVE_FOLDER_ID) into the default
+// collection: new and changed files are ingested as a background job, files no longer in the tree are removed
+app.post("/drive/sync", requireRole("editor"), rateLimit, requireQuota("embedding"), requireGoogleAuth, async (req, res) => {
+  const folderId = req.body.folderId || process.env.MAIN_DRIVE_FOLDER_ID;
+  if (!folderId) return res.status(400).json({ error: "Missing folderId and MAIN_DRIVE_FOLDER_ID is not set" });
+  if (driveSyncRunning()) return res.status(409).json({ error: "A Drive sync is already running" });
+  driveSyncPlanning = true;
+  try {
+    const drive = google.drive({ version: "v3", auth: getSessionClient(req) });
+    const startedAt = new Date().toISOString();
+    const plan = driveSync.plan(folderId, await driveSync.walk(drive, folderId), {
+      isIndexed: (fileName) => vertexDB.getByFileName(fileName).length > 0
+    });
+    for (const { driveId, fileName } of plan.removed) {
+      removeIndexedFile(fileName);
+      driveSync.markRemoved(folderId, driveId);
+    }
+    const job = ingestJobs.start(plan.toSync, {
+      source: "drive",
+      runItem: (item) => syncDriveFile(drive, folderId, item)
+    });
+    driveSyncJobId = job.id;
+    const summary = {
+      new: plan.toSync.filter(i => i.reason === "new").length,
+      changed: plan.toSync.filter(i => i.reason === "changed").length,
+      moved: plan.toSync.filter(i => i.reason === "moved").length,
+      missing: plan.toSync.filter(i => i.reason === "missing").length,
+      removed: plan.removed.length,
+      unchanged: plan.unchanged
+    };
+    driveSync.setLastRun(folderId, { startedAt, jobId: job.id, ...summary });
+    res.status(202).json({
+      ok: true,
+      folderId,
+      jobId: job.id,
+      ...summary,
+      statusUrl: `/drive/sync/status?folderId=${encodeURIComponent(folderId)}`,
+      eventsUrl: `/ingest/jobs/${job.id}/events`,
+      message: "Drive sync started"
+    });
+  } catch (error) {
+    console.error("❌ /drive/sync error:", error.message);
+    if (isAuthError(error)) {
+      delete req.session.tokens;
+      return res.status(401).json({ error: "Google session expired, please sign in again" });
+    }
+    if (error.response?.status === 404) return res.status(404).json({ error: "Drive folder not found" });
+    res.status(500).json({ error: error.message });
+  } finally {
+    driveSyncPlanning = false;
+  }
+});
+
+app.get("/drive/sync/status", requireRole("viewer"), (req, res) => {
+  const folderId = req.query.folderId || process.env.MAIN_DRIVE_FOLDER_ID;
+  if (!folderId) return res.status(400).json({ error: "Missing folderId and MAIN_DRIVE_FOLDER_ID is not set" });
+  const status = driveSync.getStatus(folderId);
+  res.json({
+    ok: true,
+    running: driveSyncRunning(),
+    ...status,
+    // The job itself is gone after a restart; lastRun still has the plan
+    job: status.lastRun ? ingestJobs.get(status.lastRun.jobId) : null
   });
 });
 
 /* ------------------------------ MCP Server Endpoints ------------------------------ */
 // Get list of models
-app.get("/api/mcp/models", async (req, res) => {
+app.get("/api/mcp/models", requireRole("viewer"), async (req, res) => {
   try {
     const models = await mcpServer.listModels();
     res.json({ 
@@ -639,7 +1328,7 @@ app.get("/api/mcp/models", async (req, res) => {
 });
 
 // Get model details
-app.get("/api/mcp/models/:modelId", async (req, res) => {
+app.get("/api/mcp/models/:modelId", requireRole("viewer"), async (req, res) => {
   try {
     const model = await mcpServer.getModel(req.params.modelId);
     if (!model) {
@@ -656,71 +1345,420 @@ app.get("/api/mcp/models/:modelId", async (req, res) => {
   }
 });
 
-// Start training job
-app.post("/api/mcp/train", async (req, res) => {
+// Register or replace a model (admin; kept in memory like the defaults registered at startup).
+// Body: { name, version, type, model, description, parameters }
+// where model is the Gemini model to call and parameters holds temperature, max_tokens, top_p, top_k.
+app.put("/api/mcp/models/:modelId", requireRole("admin"), async (req, res) => {
   try {
-    const { modelId, trainingData } = req.body;
-    if (!modelId) {
-      return res.status(400).json({ error: "Missing modelId" });
+    const { name = req.params.modelId, version = "", type = "llm", model, description = "", parameters = {} } = req.body || {};
+    if (type === "llm" && !model) {
+      return res.status(400).json({ error: "Missing model (the Gemini model name, e.g. gemini-1.5-flash)" });
     }
-    if (!trainingData) {
-      return res.status(400).json({ error: "Missing trainingData" });
+    const invalid = Object.entries(parameters).find(([, value]) => typeof value !== "number");
+    if (invalid) {
+      return res.status(400).json({ error: `Parameter ${invalid[0]} must be a number` });
+    }
+    const existed = !!(await mcpServer.getModel(req.params.modelId));
+    await mcpServer.registerModel(req.params.modelId, { name, version, type, model, description, parameters });
+    res.status(existed ? 200 : 201).json({ 
+      ok: true, 
+      model: { id: req.params.modelId, ...(await mcpServer.getModel(req.params.modelId)) },
+      message: existed ? "Model updated successfully" : "Model registered successfully"
+    });
+  } catch (err) {
+    console.error("❌ PUT /api/mcp/models/:modelId error:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete("/api/mcp/models/:modelId", requireRole("admin"), async (req, res) => {
+  try {
+    if (req.params.modelId === llmClient.defaultModelId) {
+      return res.status(409).json({ error: "The default model (LLM_DEFAULT_MODEL) cannot be removed" });
+    }
+    const removed = await mcpServer.removeModel(req.params.modelId);
+    if (!removed) {
+      return res.status(404).json({ error: "Model not found" });
     }
-    const result = await mcpServer.startTraining(modelId, trainingData);
     res.json({ 
       ok: true, 
-      ...result,
-      message: "Training job started successfully"
+      message: "Model removed successfully"
     });
   } catch (err) {
-    console.error("❌ /api/mcp/train error:", err);
+    console.error("❌ DELETE /api/mcp/models/:modelId error:", err);
     res.status(500).json({ error: err.message });
   }
 });
 
-// Get training job status
-app.get("/api/mcp/train/:jobId", async (req, res) => {
+/* ------------------------------ Retrieval Evaluation ------------------------------ */
+// Body: { dataset: [{ question, expected }], k, mode, modelId, faithfulness, label, collections }
+// (dataset format in src/utils/evaluation.js). Starts a background run and returns 202.
+async function startEvaluation(body) {
+  const {
+    dataset,
+    k = 5,
+    mode = "hybrid",
+    modelId = llmClient.defaultModelId,
+    faithfulness = true,
+    label = ""
+  } = body;
+  let items;
   try {
-    const job = await mcpServer.getTrainingStatus(req.params.jobId);
-    if (!job) {
-      return res.status(404).json({ error: "Training job not found" });
+    items = normaliseDataset(dataset);
+  } catch (err) {
+    return { status: 400, error: err.message };
+  }
+  if (!Number.isInteger(k) || k < 1 || k > 50) return { status: 400, error: "k must be an integer from 1 to 50" };
+  if (!VertexDB.SEARCH_MODES.includes(mode)) {
+    return { status: 400, error: `Invalid mode. Use one of: ${VertexDB.SEARCH_MODES.join(", ")}` };
+  }
+  if (!(await llmClient.hasModel(modelId))) return { status: 400, error: `Unknown modelId: ${modelId}` };
+  const { collections, status, error } = resolveSearchCollections(body);
+  if (error) return { status, error };
+  if (vertexDB.count(collections) === 0) {
+    return { status: 400, error: `No documents in collection ${collections.join(", ")}. Ingest files first.` };
+  }
+  
+  const config = {
+    k,
+    mode,
+    collections,
+    modelId,
+    judgeModelId: modelId,
+    faithfulness: !!faithfulness,
+    chunkTokens: CHUNK_TOKENS,
+    embeddingProvider: vertexDB.embedder.id,
+    // Changes whenever the /ask prompt template does
+    promptHash: contentHash(buildAskPrompt.toString()).slice(0, 12),
+    indexedDocuments: vertexDB.count(collections)
+  };
+  const run = evaluations.create({ label: String(label), config, items });
+  // Same retrieval and answer path as /ask (without table routing or conversations)
+  const retrieve = async (question) => {
+    const ask = await prepareAsk({ query: question, k, mode, modelId, collections, route: "rag" });
+    if (ask.error) throw new Error(ask.error);
+    // Keyword-only fallback hits would be scored as if they were the configured mode
+    if (ask.degraded) throw new Error("The question could not be embedded; hybrid retrieval fell back to keywords");
+    const hits = ask.results.map(r => ({ fileName: r.meta.fileName, position: r.meta.position, score: r.score }));
+    if (!config.faithfulness || !ask.prompt) return { hits, answer: null, snippets: [] };
+    const { answer } = await generateAskAnswer(ask.prompt, { modelId });
+    return { hits, answer, snippets: ask.results.map(r => r.text) };
+  };
+  evaluations.run(run, items, retrieve).catch(err => console.error("❌ Evaluation run error:", err));
+  return { run };
+}
+
+app.post("/api/mcp/evaluations", requireRole("editor"), rateLimit, requireQuota("generation", "embedding"), async (req, res) => {
+  try {
+    const { run, status, error } = await startEvaluation(req.body || {});
+    if (error) return res.status(status).json({ error });
+    res.status(202).json({
+      ok: true,
+      runId: run.id,
+      statusUrl: `/api/mcp/evaluations/${run.id}`,
+      message: "Evaluation run started"
+    });
+  } catch (err) {
+    console.error("❌ /api/mcp/evaluations error:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Run summaries (config + metrics), newest first; ?label= narrows to one series
+app.get("/api/mcp/evaluations", requireRole("viewer"), (req, res) => {
+  const runs = evaluations.list().filter(r => !req.query.label || r.label === req.query.label);
+  res.json({
+    ok: true,
+    runs,
+    message: "Evaluation runs retrieved successfully"
+  });
+});
+
+// One run with its per-question results
+app.get("/api/mcp/evaluations/:runId", requireRole("viewer"), (req, res) => {
+  const run = evaluations.get(req.params.runId);
+  if (!run) return res.status(404).json({ error: "Evaluation run not found" });
+  res.json({
+    ok: true,
+    run,
+    message: "Evaluation run retrieved successfully"
+  });
+});
+
+// Former training endpoints, kept for older clients: trainingData is the evaluation dataset
+app.post("/api/mcp/train", requireRole("editor"), rateLimit, requireQuota("generation", "embedding"), async (req, res) => {
+  try {
+    const { modelId, trainingData } = req.body;
+    if (!modelId) {
+      return res.status(400).json({ error: "Missing modelId" });
     }
+    if (!trainingData) {
+      return res.status(400).json({ error: "Missing trainingData" });
+    }
+    const { run, status, error } = await startEvaluation({ ...req.body, dataset: trainingData });
+    if (error) return res.status(status).json({ error });
     res.json({ 
       ok: true, 
-      job,
-      message: "Training job status retrieved successfully"
+      success: true,
+      jobId: run.id,
+      message: "Evaluation run started"
     });
   } catch (err) {
-    console.error("❌ /api/mcp/train/:jobId error:", err);
+    console.error("❌ /api/mcp/train error:", err);
     res.status(500).json({ error: err.message });
   }
 });
 
+app.get("/api/mcp/train/:jobId", requireRole("viewer"), (req, res) => {
+  const run = evaluations.get(req.params.jobId);
+  if (!run) {
+    return res.status(404).json({ error: "Training job not found" });
+  }
+  res.json({
+    ok: true,
+    job: run,
+    message: "Evaluation run retrieved successfully"
+  });
+});
+
 /* ------------------------------ Ask (RAG QA) ------------------------------ */
-app.post("/ask", async (req, res) => {
+// Validate an /ask body and retrieve its context snippets. principal is the caller
+// (req.principal; omitted for local callers), who must be able to use conversationId.
+// Returns { status, error } for a bad request, otherwise the retrieval + prompt.
+async function prepareAsk(body, principal = null) {
+  const {
+    query,
+    k = MAX_SNIPPETS,
+    system = "",
+    subsystem = "",
+    mode = "hybrid",
+    minScore = null,
+    mmr = false,
+    mmrLambda = 0.7,
+    conversationId = null,
+    route = "auto",
+    fileName = "",
+    pageFrom = null,
+    pageTo = null,
+    modelId = llmClient.defaultModelId
+  } = body;
+  if (!query) return { status: 400, error: "Missing query" };
+  const conversation = conversationId ? conversations.get(conversationId) : null;
+  if (conversation && !canUseConversation(conversation, principal)) {
+    return { status: 404, error: "Conversation not found" };
+  }
+  const { collections, status, error } = resolveSearchCollections(body);
+  if (error) return { status, error };
+  if (!(await llmClient.hasModel(modelId))) return { status: 400, error: `Unknown modelId: ${modelId}` };
+  const pageRange = parsePageRange(pageFrom, pageTo);
+  if (pageRange.error) return { status: 400, error: pageRange.error };
+  if (!VertexDB.SEARCH_MODES.includes(mode)) {
+    return { status: 400, error: `Invalid mode. Use one of: ${VertexDB.SEARCH_MODES.join(", ")}` };
+  }
+  if (!ASK_ROUTES.includes(route)) {
+    return { status: 400, error: `Invalid route. Use one of: ${ASK_ROUTES.join(", ")}` };
+  }
+  if (vertexDB.count(collections) === 0) {
+    return { status: 400, error: `No documents in collection ${collections.join(", ")}. Ingest files first.` };
+  }
+  
+  // Follow-ups are rewritten into a standalone query before retrieval
+  const history = conversation ? conversation.turns.slice(-HISTORY_TURNS) : [];
+  const standaloneQuery = await rewriteFollowUp(query, history);
+  
+  // Aggregate-style questions go to the table query engine when tables are indexed
+  // (a page range always means the question is about document text)
+  if (route === "table" || (route === "auto" && !pageRange.active && looksAggregate(standaloneQuery, tableStore.all(collections)))) {
+    const table = await answerFromTables(standaloneQuery, collections);
+    if (table) {
+      return { query, mode, minScore, modelId, conversationId, collections, standaloneQuery, results: [], sources: [], hasTabular: true, prompt: null, table };
+    }
+    if (route === "table") return { status: 422, error: "Could not answer this question from the indexed tables" };
+  }
+  
+  // Search in VertexDB
+  const filters = { collections, system, subsystem, fileName, pageFrom: pageRange.from, pageTo: pageRange.to };
+  let degraded = false;
+  const results = await vertexDB.search(standaloneQuery, k, filters, {
+    mode, minScore, mmr, mmrLambda, onFallback: () => { degraded = true; }
+  });
+  const hasTabular = results.some(r => 
+    r.meta && (r.meta.type === "row" || (r.meta.headers && r.meta.headers.length > 0))
+  );
+  const sources = results.map((r, i) => ({
+    ref: i + 1,
+    collection: collectionOf(r.meta),
+    fileName: r.meta.fileName,
+    position: r.meta.position,
+    section: r.meta.section || "",
+    headingPath: r.meta.headingPath || [],
+    pageStart: r.meta.pageStart ?? null,
+    pageEnd: r.meta.pageEnd ?? null,
+    score: r.score,
+    scores: r.scores,
+    preview: r.text.slice(0, 400) + (r.text.length > 400 ? "…" : "")
+  }));
+  return {
+    query,
+    mode,
+    minScore,
+    modelId,
+    conversationId,
+    collections,
+    standaloneQuery,
+    results,
+    sources,
+    hasTabular,
+    degraded,
+    prompt: results.length ? buildAskPrompt(query, results, history) : null
+  };
+}
+
+// Validate optional pageFrom/pageTo (1-based, inclusive) from an /ask body
+function parsePageRange(pageFrom, pageTo) {
+  const toPage = (v) => (v === null || v === undefined || v === "" ? null : Number(v));
+  const from = toPage(pageFrom);
+  const to = toPage(pageTo);
+  if ([from, to].some(p => p !== null && !(Number.isInteger(p) && p >= 1))) {
+    return { error: "pageFrom and pageTo must be positive integers" };
+  }
+  if (from !== null && to !== null && from > to) return { error: "pageFrom must not be greater than pageTo" };
+  return { from, to, active: from !== null || to !== null };
+}
+
+// "p. 12" or "pp. 12-13" for chunks of paged documents, otherwise ""
+function pageLabel(meta) {
+  if (meta.pageStart == null) return "";
+  return meta.pageStart === meta.pageEnd ? `p. ${meta.pageStart}` : `pp. ${meta.pageStart}-${meta.pageEnd}`;
+}
+
+// "how many", "list all ... after March", "total cost per subsystem" and the like.
+// Words like "per", "max" or "total" are common in technical questions ("10 A per
+// phase", "max current on W-104"), so they only count when the question also names
+// a column of one of the tables.
+const AGGREGATE_PHRASES = /\b(how many|number of|count of|group(ed)? by|broken down by|breakdown (by|of)|list all)\b/i;
+const AGGREGATE_WORDS = /\b(per|total|sum|average|avg|mean|maximum|minimum|max|min|most|least)\b/i;
+
+function looksAggregate(query, tables) {
+  if (!tables.length) return false;
+  if (AGGREGATE_PHRASES.test(query)) return true;
+  return AGGREGATE_WORDS.test(query) && mentionsColumn(query, tables);
+}
+
+// Whether the query names a table header (as whole words, ignoring case)
+function mentionsColumn(query, tables) {
+  const text = query.toLowerCase();
+  return tables.some(t => t.headers.some(header => {
+    const name = String(header || "").trim().toLowerCase();
+    if (name.length < 3) return false;
+    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    return new RegExp(`(^|[^a-z0-9])${escaped}($|[^a-z0-9])`).test(text);
+  }));
+}
+
+// Ask Gemini to translate the question into a table query spec, then run it.
+// Returns { spec, ...runTableQuery result } or null when the tables cannot answer it.
+async function answerFromTables(query, collections) {
+  const tables = tableStore.all(collections);
+  const schemas = tables.map(t => ({
+    table: { fileName: t.fileName, sheetName: t.sheetName },
+    headers: t.headers,
+    rowCount: t.rows.length,
+    sampleRows: t.rows.slice(0, 3)
+  }));
+  const prompt = `
+You translate questions about maintenance spreadsheets into a JSON query spec.
+Tables:
+${JSON.stringify(schemas, null, 1)}
+Query spec format:
+{
+  "table": { "fileName": "string", "sheetName": "string" },
+  "filters": [{ "column": "string", "op": "eq|ne|contains|in|gt|gte|lt|lte|before|after|empty|notEmpty", "value": "any" }],
+  "groupBy": ["column"],
+  "aggregates": [{ "op": "count|sum|avg|min|max", "column": "string (omit for count)", "as": "string" }],
+  "columns": ["column"],
+  "sort": [{ "column": "string", "direction": "asc|desc" }],
+  "limit": 100
+}
+Use only column names that appear in the headers. Use ISO dates (YYYY-MM-DD) for date filters.
+If none of the tables can answer the question, return {"unanswerable": true}.
+Question: ${query}
+Return only the JSON object.
+`;
   try {
-    const { query, k = MAX_SNIPPETS, system = "", subsystem = "" } = req.body;
-    if (!query) return res.status(400).json({ error: "Missing query" });
-    if (vertexDB.getStats().totalDocuments === 0) return res.status(400).json({ error: "Index is empty. Ingest files first." });
-    
-    // Search in VertexDB
-    const filters = { system, subsystem };
-    const results = await vertexDB.search(query, k, filters);
-    const hasTabular = results.some(r => 
-      r.meta && (r.meta.type === "row" || (r.meta.headers && r.meta.headers.length > 0))
-    );
-    
-    // Build context with citations
-    const contextBlocks = results.map((r, idx) =>
-      `[[${idx+1}]] File: ${r.meta.fileName} (pos ${r.meta.position})\n${r.text}`
-    ).join("\n---\n");
-    
-    // --- UPDATED PROMPT: prefer JSON and structured output ---
-    const prompt = `
+    const text = await llmText(prompt, { generationConfig: { responseMimeType: "application/json" } });
+    const spec = JSON.parse(text || "{}");
+    if (spec.unanswerable) return null;
+    return { spec, ...runTableQuery(tables, spec) };
+  } catch (err) {
+    console.warn("Table query planning failed:", err.message);
+    return null;
+  }
+}
+
+// Structured /ask result for a table query
+function tableResult(table) {
+  const where = table.tables.map(t => (t.sheetName ? `${t.fileName} / ${t.sheetName}` : t.fileName)).join(", ");
+  const lines = table.rows.slice(0, 20).map(row =>
+    table.columns.map(c => `${c}: ${row[c] ?? ""}`).join(" | ")
+  );
+  const more = table.totalRows > lines.length ? `\n… ${table.totalRows - lines.length} more rows` : "";
+  return {
+    technicalSummary: `Query over ${where}: ${table.matched} matching rows, ${table.totalRows} result rows.\n${lines.join("\n")}${more}`,
+    laymanSummary: `Computed directly from the spreadsheet data in ${where}.`,
+    wireDetails: [],
+    components: [],
+    architectureSuggestion: ""
+  };
+}
+
+// One line of an earlier answer for history blocks
+function summarizeTurn(turn) {
+  const summary = String(turn.result?.technicalSummary || "").replace(/\s+/g, " ").slice(0, 500);
+  const files = Array.from(new Set((turn.sources || []).map(s => s.fileName))).join(", ");
+  return files ? `${summary} (sources: ${files})` : summary;
+}
+
+// Rewrite a follow-up like "what about car 3?" into a standalone retrieval query
+async function rewriteFollowUp(query, history) {
+  if (!history.length) return query;
+  const transcript = history.map(t => `User: ${t.query}\nAssistant: ${summarizeTurn(t)}`).join("\n");
+  const prompt = `
+Rewrite the user's latest question as a standalone search query for a metro rolling stock document index.
+Resolve pronouns and references ("that relay", "car 3", "it") using the conversation.
+Keep exact identifiers (wire numbers, relay tags, fault codes, job card IDs) verbatim.
+Return only the rewritten query on one line, with no quotes or explanation.
+Conversation:
+${transcript}
+Latest question: ${query}
+`;
+  try {
+    const rewritten = (await llmText(prompt)).trim().split("\n")[0];
+    return rewritten || query;
+  } catch (err) {
+    // Retrieval still works, just less precisely, with the previous question as context
+    console.warn("Follow-up rewrite failed:", err.message);
+    return `${history[history.length - 1].query} ${query}`;
+  }
+}
+
+function buildAskPrompt(query, results, history = []) {
+  // Build context with citations
+  const contextBlocks = results.map((r, idx) =>
+    `[[${idx+1}]] File: ${r.meta.fileName} (pos ${r.meta.position}${pageLabel(r.meta) ? `, ${pageLabel(r.meta)}` : ""}${r.meta.section ? `, Section ${r.meta.section}` : ""})\n${r.text}`
+  ).join("\n---\n");
+  const historyBlock = history.length
+    ? `Conversation so far (use it to resolve references only; cite only the snippets below):
+${history.map(t => `User: ${t.query}\nAssistant: ${summarizeTurn(t)}`).join("\n")}
+`
+    : "";
+  
+  // --- UPDATED PROMPT: prefer JSON and structured output ---
+  return `
 You are a precise document analyst for metro rolling stock & maintenance.
 Answer the user's query using ONLY the context snippets below.
 Always add bracketed citations like [1], [2] next to the specific sentences they support.
-User Query:
+${historyBlock}User Query:
 ${query}
 Context Snippets (with citations):
 ${contextBlocks}
@@ -733,7 +1771,7 @@ Formatting rules:
     { "id": "string", "spec": "string", "from": "string", "to": "string", "voltage": "string", "current": "string" }
   ],
   "components": [
-    { "name": "string", "type": "string", "specs": {}, "location": "string" }
+    { "name": "string", "type": "string", "specs": [{ "name": "string", "value": "string" }], "location": "string" }
   ],
   "architectureSuggestion": "string (Mermaid.js flowchart code)"
 }
@@ -744,56 +1782,241 @@ Domain guidance:
 - Prefer specifics (job cards, door systems, DCU, HVAC, etc.). Merge duplicates across sheets.
 - Extract wire specifications, component details, and system architecture from the context.
 `;
-    
-    const answer = await geminiChat(prompt);
-    
-    // Parse JSON response
-    let parsedAnswer;
-    try {
-      parsedAnswer = JSON.parse(answer);
-    } catch (e) {
-      // Fallback: create structured response from text
-      parsedAnswer = {
-        technicalSummary: answer,
-        laymanSummary: "Could not generate layman's summary.",
-        wireDetails: [],
-        components: [],
-        architectureSuggestion: ""
-      };
+}
+
+// Generates the answer against the answer schema, retrying invalid output
+// (see src/utils/answerSchema.js). Resolves to { answer, validation }.
+// With onText the first attempt is streamed; onRetry(attempt) is called before
+// each retry, which is generated without streaming.
+function generateAskAnswer(prompt, { modelId, onText, onRetry, signal } = {}) {
+  const options = { modelId, generationConfig: ANSWER_GENERATION_CONFIG, signal };
+  return generateAnswer(prompt, async (attemptPrompt, attempt) => {
+    if (attempt > 1 && onRetry) onRetry(attempt);
+    const { text } = onText && attempt === 1
+      ? await llmClient.stream(attemptPrompt, onText, options)
+      : await llmClient.generate(attemptPrompt, options);
+    return text;
+  });
+}
+
+function noSnippetsResult(minScore) {
+  return {
+    technicalSummary: `No indexed snippets scored at or above minScore ${minScore}.`,
+    laymanSummary: "Nothing relevant enough was found in the indexed documents.",
+    wireDetails: [],
+    components: [],
+    architectureSuggestion: ""
+  };
+}
+
+// Store the turn when the request belongs to a conversation (a new conversation
+// belongs to the principal that asked)
+function recordTurn(ask, result, principal = null) {
+  if (!ask.conversationId) return;
+  conversations.addTurn(ask.conversationId, {
+    query: ask.query,
+    standaloneQuery: ask.standaloneQuery,
+    result,
+    sources: ask.sources.map(({ ref, fileName, position, section, score }) => ({ ref, fileName, position, section, score }))
+  }, principal ? principal.id : null);
+}
+
+// Everything in an /ask response except the sources list.
+// validation is null when the answer did not come from the model.
+function askPayload(ask, result, validation = null) {
+  return {
+    result,
+    validation,
+    ...(validation ? { modelId: ask.modelId } : {}),
+    route: ask.table ? "table" : "rag",
+    ...(ask.table ? { table: ask.table } : {}),
+    ...(ask.conversationId ? { conversationId: ask.conversationId, standaloneQuery: ask.standaloneQuery } : {}),
+    collections: ask.collections,
+    used: ask.results.length,
+    totalIndexed: vertexDB.count(ask.collections),
+    result_format: ask.hasTabular ? "json" : "auto",
+    has_tabular: !!ask.hasTabular,
+    mode: ask.mode,
+    // true when the query could not be embedded and hybrid retrieval used keywords only
+    degraded: !!ask.degraded,
+    message: ask.table
+      ? "Query answered from indexed tables"
+      : !ask.results.length
+        ? "No snippets met the score threshold"
+        : ask.degraded
+          ? "Query processed with keyword search only (the query could not be embedded)"
+          : "Query processed successfully using VertexDB and Gemini AI"
+  };
+}
+
+// Answer an /ask body without streaming: the /ask response, or { status, error }
+async function runAsk(body, principal = null) {
+  const ask = await prepareAsk(body, principal);
+  if (ask.error) return ask;
+  
+  let result;
+  let validation = null;
+  if (ask.table) result = tableResult(ask.table);
+  else if (ask.prompt) ({ answer: result, validation } = await generateAskAnswer(ask.prompt, { modelId: ask.modelId }));
+  else result = noSnippetsResult(ask.minScore);
+  
+  recordTurn(ask, result, principal);
+  
+  // Return answer + sources
+  return { result, sources: ask.sources, ...askPayload(ask, result, validation) };
+}
+
+app.post("/ask", requireRole("viewer"), rateLimit, requireQuota("generation", "embedding"), async (req, res) => {
+  try {
+    const response = await runAsk(req.body, req.principal);
+    if (response.error) return res.status(response.status).json({ error: response.error });
+    res.json(response);
+  } catch (err) {
+    console.error("❌ /ask error:", err);
+    if (err instanceof LLMError) return res.status(err.status).json({ error: err.message, code: err.code });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Streaming /ask over Server-Sent Events. Same body as /ask. Events, in order:
+// "sources" (the retrieved snippets), "token" ({ text }) per answer delta,
+// "result" (the validated JSON plus the /ask metadata), then "done".
+// If the streamed answer fails validation, "retry" ({ attempt }) is sent and the
+// corrected answer only arrives with "result"; discard the tokens received so far.
+// A failure after the stream has opened is sent as an "error" event.
+app.post("/ask/stream", requireRole("viewer"), rateLimit, requireQuota("generation", "embedding"), async (req, res) => {
+  let ask;
+  try {
+    ask = await prepareAsk(req.body, req.principal);
+  } catch (err) {
+    console.error("❌ /ask/stream error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+  if (ask.error) return res.status(ask.status).json({ error: ask.error });
+  
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    "Connection": "keep-alive"
+  });
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const controller = new AbortController();
+  res.on("close", () => controller.abort());
+  try {
+    send("sources", { sources: ask.sources });
+    let result;
+    let validation = null;
+    if (ask.table) {
+      result = tableResult(ask.table);
+    } else if (ask.prompt) {
+      ({ answer: result, validation } = await generateAskAnswer(ask.prompt, {
+        modelId: ask.modelId,
+        onText: text => send("token", { text }),
+        onRetry: attempt => send("retry", { attempt }),
+        signal: controller.signal
+      }));
+    } else {
+      result = noSnippetsResult(ask.minScore);
     }
-    
-    // Return answer + sources
-    const sources = results.map((r, i) => ({
-      ref: i + 1,
-      fileName: r.meta.fileName,
-      position: r.meta.position,
-      score: Math.random() * 0.2 + 0.8, // Mock score
-      preview: r.text.slice(0, 400) + (r.text.length > 400 ? "…" : "")
-    }));
-    
+    recordTurn(ask, result, req.principal);
+    send("result", askPayload(ask, result, validation));
+    send("done", {});
+  } catch (err) {
+    if (err.name !== "AbortError") {
+      console.error("❌ /ask/stream error:", err);
+      send("error", { error: err.message, ...(err instanceof LLMError ? { code: err.code } : {}) });
+    }
+  }
+  res.end();
+});
+
+/* ------------------------------ Structured Table Queries ------------------------------ */
+// ?collections=a,b or ?collection=a (default "default")
+app.get("/tables", requireRole("viewer"), (req, res) => {
+  const { collections, status, error } = resolveSearchCollections(req.query);
+  if (error) return res.status(status).json({ error });
+  res.json({
+    ok: true,
+    collections,
+    tables: tableStore.list(collections),
+    message: "Tables retrieved successfully"
+  });
+});
+
+// Body: a query spec (see src/utils/tableQuery.js), plus collection/collections
+app.post("/tables/query", requireRole("viewer"), (req, res) => {
+  const { collections, status, error } = resolveSearchCollections(req.body || {});
+  if (error) return res.status(status).json({ error });
+  try {
+    const result = runTableQuery(tableStore.all(collections), req.body || {});
     res.json({
-      result: parsedAnswer,
-      sources,
-      used: results.length,
-      totalIndexed: vertexDB.getStats().totalDocuments,
-      result_format: hasTabular ? "json" : "auto",
-      has_tabular: !!hasTabular,
-      message: "Query processed successfully using VertexDB and Gemini AI"
+      ok: true,
+      ...result,
+      message: "Table query executed successfully"
     });
   } catch (err) {
-    console.error("❌ /ask error:", err);
-    res.status(500).json({ error: err.message });
+    res.status(400).json({ error: err.message });
   }
 });
 
+/* ------------------------------ Conversations ------------------------------ */
+// A conversation belongs to the principal (API key) that started it. Admins, and local
+// callers without a principal (MCP stdio), may use any conversation.
+function canUseConversation(conversation, principal) {
+  return !principal || principal.role === "admin" || conversation.ownerId === principal.id;
+}
+
+app.post("/conversations", requireRole("viewer"), (req, res) => {
+  const conversation = conversations.create(undefined, req.body?.title || "", req.principal.id);
+  res.json({
+    ok: true,
+    conversation,
+    message: "Conversation created successfully"
+  });
+});
+
+app.get("/conversations", requireRole("viewer"), (req, res) => {
+  res.json({
+    ok: true,
+    conversations: conversations.list(req.principal.role === "admin" ? undefined : req.principal.id),
+    message: "Conversations retrieved successfully"
+  });
+});
+
+app.get("/conversations/:conversationId", requireRole("viewer"), (req, res) => {
+  const conversation = conversations.get(req.params.conversationId);
+  if (!conversation || !canUseConversation(conversation, req.principal)) {
+    return res.status(404).json({ error: "Conversation not found" });
+  }
+  res.json({
+    ok: true,
+    conversation,
+    message: "Conversation retrieved successfully"
+  });
+});
+
+app.delete("/conversations/:conversationId", requireRole("viewer"), (req, res) => {
+  const conversation = conversations.get(req.params.conversationId);
+  if (!conversation || !canUseConversation(conversation, req.principal)) {
+    return res.status(404).json({ error: "Conversation not found" });
+  }
+  conversations.delete(conversation.id);
+  res.json({
+    ok: true,
+    message: "Conversation deleted successfully"
+  });
+});
+
 /* ------------------------------ Compatibility Endpoints ------------------------------ */
 // Keep your older frontend buttons working, but now powered by RAG.
-app.post("/summarize-multi", async (req, res) => {
+app.post("/summarize-multi", requireRole("editor"), rateLimit, requireQuota("generation", "embedding"), async (req, res) => {
   try {
-    const { query, files } = req.body;
+    const { query, files, modelId } = req.body;
     if (!query || !files?.length) {
       return res.status(400).json({ error: "Missing query or files" });
     }
+    const { collection, status, error } = resolveCollection(req.body.collection);
+    if (error) return res.status(status).json({ error });
     // Ingest the JSON docs transiently (does not clear existing index)
     const docs = files.map(f => ({
       fileName: f.name,
@@ -803,21 +2026,11 @@ app.post("/summarize-multi", async (req, res) => {
       subsystem: f.subsystem || "",
       meta: {}
     }));
-    // INTERNAL self-calls (works on Render too)
-    const base = getInternalBase();
-    await fetch(`${base}/ingest-json`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ documents: docs })
-    });
+    // Same path as /ingest-json and /ask (called directly, so the caller's auth applies)
+    for (const doc of docs) await ingestJsonDocument(doc, { collection });
     // Now answer via RAG
-    const askRes = await fetch(`${base}/ask`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ query, k: MAX_SNIPPETS })
-    });
-    const data = await askRes.json();
-    if (askRes.ok) return res.json(data);
+    const data = await runAsk({ query, k: MAX_SNIPPETS, modelId, collection });
+    if (!data.error) return res.json(data);
     return res.status(500).json({ error: data.error || "RAG error" });
   } catch (err) {
     console.error("❌ /summarize-multi error:", err);
@@ -825,12 +2038,14 @@ app.post("/summarize-multi", async (req, res) => {
   }
 });
 
-app.post("/search-multi", async (req, res) => {
+app.post("/search-multi", requireRole("editor"), rateLimit, requireQuota("generation", "embedding"), async (req, res) => {
   try {
-    const { keyword, files } = req.body;
+    const { keyword, files, modelId } = req.body;
     if (!keyword || !files?.length) {
       return res.status(400).json({ error: "Missing keyword or files" });
     }
+    const { collection, status, error } = resolveCollection(req.body.collection);
+    if (error) return res.status(status).json({ error });
     // Ingest (JSON mode)
     const docs = files.map(f => ({
       fileName: f.name,
@@ -840,20 +2055,10 @@ app.post("/search-multi", async (req, res) => {
       subsystem: f.subsystem || "",
       meta: {}
     }));
-    const base = getInternalBase();
-    await fetch(`${base}/ingest-json`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ documents: docs })
-    });
+    for (const doc of docs) await ingestJsonDocument(doc, { collection });
     // Use /ask with keyword as query
-    const askRes = await fetch(`${base}/ask`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ query: keyword, k: MAX_SNIPPETS })
-    });
-    const data = await askRes.json();
-    if (askRes.ok) return res.json(data);
+    const data = await runAsk({ query: keyword, k: MAX_SNIPPETS, modelId, collection });
+    if (!data.error) return res.json(data);
     return res.status(500).json({ error: data.error || "RAG error" });
   } catch (err) {
     console.error("❌ /search-multi error:", err);
@@ -861,106 +2066,93 @@ app.post("/search-multi", async (req, res) => {
   }
 });
 
-/* ------------------------------ New: AI Analysis Endpoint ------------------------------ */
-app.post('/api/gemini/analyze', async (req, res) => {
-  try {
-    const { fileContents, query } = req.body;
-    
-    if (!fileContents || !query) {
-      return res.status(400).json({ 
-        error: 'Missing fileContents or query',
-        details: 'Both fileContents and query are required parameters'
-      });
-    }
-    
-    console.log('Received AI request:', { 
-      query: query.substring(0, 100) + '...', 
-      fileCount: fileContents.length,
-      firstFileName: fileContents[0]?.name
-    });
-    
-    // Create prompt for Gemini
-    const combinedText = fileContents
-      .map(f => `File: ${f.name}\nContent: ${f.content.substring(0, 2000)}...`)
-      .join('\n\n---\n\n');
-    
-    const prompt = `
-You are an expert metro systems engineer and document analyst. Analyze the documents and respond in valid JSON format only.
-Respond with this exact JSON structure:
-{
-  "technicalSummary": "string",
-  "laymanSummary": "string",
-  "wireDetails": [
-    { "id": "string", "spec": "string", "from": "string", "to": "string", "voltage": "string", "current": "string" }
-  ],
-  "components": [
-    { "name": "string", "type": "string", "specs": {}, "location": "string" }
-  ],
-  "architectureSuggestion": "string (Mermaid.js flowchart code)"
-}
-User Query: "${query}"
-Relevant Documents:
-${combinedText}
-Important: Return only the JSON object. No extra text, no markdown, no explanations outside the JSON structure.
-If information is not available in the documents, indicate that in the summaries.
-`;
-    
-    // Call Gemini API
-    const geminiResp = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent?key=${process.env.GEMINI_API_KEY}`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        contents: [{ parts: [{ text: prompt }] }],
-        generationConfig: { responseMimeType: "application/json" }
-      })
-    });
-    
-    if (!geminiResp.ok) {
-      const errorText = await geminiResp.text();
-      throw new Error(`Gemini API error ${geminiResp.status}: ${errorText}`);
-    }
-    
-    const geminiData = await geminiResp.json();
-    const rawOutput = geminiData.candidates?.[0]?.content?.parts?.[0]?.text || '{}';
-    
-    // Parse and return result
-    let result;
-    try {
-      result = JSON.parse(rawOutput);
-    } catch (parseError) {
-      console.error('JSON parse error:', parseError);
-      // Return fallback structure
-      result = {
-        technicalSummary: `AI Response: ${rawOutput.substring(0, 500)}...`,
-        laymanSummary: "Could not parse detailed response. Check technical summary.",
-        wireDetails: [],
-        components: [],
-        architectureSuggestion: ""
-      };
-    }
-    
-    // Add sources information
-    result.sources = fileContents.map((file, index) => ({
-      name: file.name,
-      type: file.mimeType,
-      score: Math.random() * 0.2 + 0.8,
-      snippet: file.content.substring(0, 200) + (file.content.length > 200 ? "..." : "")
+/* ------------------------------ Model Context Protocol ------------------------------ */
+// Document tools and resources for MCP clients (see src/utils/mcpDocumentServer.js)
+const mcpServices = {
+  async search({ query, k = 8, mode = "hybrid", collections, system = "", subsystem = "", fileName = "" }) {
+    assertQuota("embedding");
+    const resolved = resolveSearchCollections({ collections });
+    if (resolved.error) throw new Error(resolved.error);
+    const filters = { collections: resolved.collections, system, subsystem, fileName, pageFrom: null, pageTo: null };
+    const results = await vertexDB.search(query, k, filters, { mode });
+    return results.map(r => ({
+      collection: collectionOf(r.meta),
+      fileName: r.meta.fileName,
+      position: r.meta.position,
+      section: r.meta.section || "",
+      pageStart: r.meta.pageStart ?? null,
+      pageEnd: r.meta.pageEnd ?? null,
+      score: r.score,
+      text: r.text
     }));
-    
-    // Log for debugging
-    console.log('AI analysis completed successfully');
-    
-    res.json(result);
-    
-  } catch (error) {
-    console.error('AI analysis failed:', error);
-    res.status(500).json({
-      error: 'AI analysis failed',
-      details: error.message
-    });
+  },
+  // principal: the MCP client's, so conversations stay its own (none over stdio)
+  ask(args, principal = null) {
+    assertQuota("generation", "embedding");
+    return runAsk(args, principal);
+  },
+  listDocuments(collection) {
+    if (collection !== undefined) {
+      const resolved = resolveCollection(collection);
+      if (resolved.error) throw new Error(resolved.error);
+      return vertexDB.listDocuments(resolved.collection);
+    }
+    return collectionStore.list().flatMap(c => vertexDB.listDocuments(c.name));
+  },
+  // Chunks in order; files indexed only as rows (CSV) are rebuilt from their rows
+  readDocument(fileName, collection) {
+    const docs = vertexDB.getByFileName(fileName, collection);
+    if (!docs.length) return null;
+    const chunks = docs.filter(d => d.meta.type !== "row");
+    return (chunks.length ? chunks : docs)
+      .sort((a, b) => a.meta.position - b.meta.position)
+      .map(d => d.text)
+      .join("\n\n");
+  },
+  async ingestText({ fileName, text, mimeType = "text/plain", collection, system = "", subsystem = "" }) {
+    assertQuota("embedding");
+    const resolved = resolveCollection(collection);
+    if (resolved.error) throw new Error(resolved.error);
+    const counts = await ingestJsonDocument({ fileName, text, mime: mimeType, system, subsystem }, { collection: resolved.collection });
+    return { ...counts, collection: resolved.collection, total: vertexDB.count([resolved.collection]) };
+  }
+};
+
+// HTTP/SSE transport: a client opens GET /mcp/sse and posts its messages to the
+// endpoint announced there (/mcp/messages?sessionId=...) with the same credentials.
+// ingest_document is only offered to editors.
+const mcpSessions = new Map(); // sessionId -> { transport, principalId }
+
+app.get("/mcp/sse", requireRole("viewer"), async (req, res) => {
+  const transport = new SSEServerTransport("/mcp/messages", res);
+  mcpSessions.set(transport.sessionId, { transport, principalId: req.principal.id });
+  res.on("close", () => mcpSessions.delete(transport.sessionId));
+  try {
+    const canIngest = hasRole(req.principal.role, "editor");
+    const services = { ...mcpServices, ask: (args) => mcpServices.ask(args, req.principal) };
+    await createDocumentMcpServer(services, { canIngest }).connect(transport);
+  } catch (err) {
+    console.error("❌ /mcp/sse error:", err);
+    mcpSessions.delete(transport.sessionId);
   }
 });
 
+app.post("/mcp/messages", requireRole("viewer"), rateLimit, async (req, res) => {
+  const session = mcpSessions.get(req.query.sessionId);
+  if (!session || session.principalId !== req.principal.id) {
+    return res.status(404).json({ error: "MCP session not found" });
+  }
+  try {
+    await session.transport.handlePostMessage(req, res, req.body);
+  } catch (err) {
+    console.error("❌ /mcp/messages error:", err);
+    if (!res.headersSent) res.status(500).json({ error: err.message });
+  }
+});
+
+/* ------------------------------ New: AI Analysis Endpoint ------------------------------ */
+app.use('/api/gemini', geminiRoutes);
+
 /* ------------------------------ Diagnostics ------------------------------ */
 app.get("/health", (req, res) => res.json({ 
   ok: true, 
@@ -969,18 +2161,42 @@ app.get("/health", (req, res) => res.json({
   message: "VertexDB and MCP Server are running"
 }));
 
-app.get("/stats", (req, res) => {
+app.get("/stats", requireRole("viewer"), (req, res) => {
   const stats = vertexDB.getStats();
   res.json({ 
     ...stats,
+    collections: collectionStore.list().map(collectionSummary),
     message: "System statistics retrieved successfully"
   });
 });
 
-/* ------------------------------ Server ------------------------------ */
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`🚀 RAG server with VertexDB and MCP Server running on http://0.0.0.0:${PORT}`);
-  console.log(`✅ VertexDB initialized with 0 documents`);
-  console.log(`✅ MCP Server initialized with ${mcpServer.models.size} models`);
-  console.log(`🔑 Gemini API Key: ${process.env.GEMINI_API_KEY ? 'Configured' : 'MISSING'}`);
+// The caller's own Gemini usage today and what is left of its daily quotas
+app.get("/usage", requireRole("viewer"), (req, res) => {
+  const callerId = currentCaller();
+  res.json({
+    ok: true,
+    callerId,
+    date: new Date().toISOString().slice(0, 10),
+    usage: usage.get(callerId),
+    quotas: usage.quotas(callerId),
+    resetsIn: secondsUntilReset()
+  });
 });
+
+/* ------------------------------ Server ------------------------------ */
+if (MCP_STDIO) {
+  // A local process that can already read the data directory: no API key needed
+  createDocumentMcpServer(mcpServices, { canIngest: true }).connect(new StdioServerTransport()).then(() => {
+    console.log(`✅ MCP stdio server ready with ${vertexDB.getStats().totalDocuments} indexed documents`);
+  }).catch((err) => {
+    console.error("❌ MCP stdio server failed to start:", err);
+    process.exit(1);
+  });
+} else {
+  app.listen(PORT, '0.0.0.0', () => {
+    console.log(`🚀 RAG server with VertexDB and MCP Server running on http://0.0.0.0:${PORT}`);
+    console.log(`✅ VertexDB initialized with ${vertexDB.getStats().totalDocuments} documents`);
+    console.log(`✅ MCP Server initialized with ${mcpServer.models.size} models`);
+    console.log(`🔑 Gemini API Key: ${process.env.GEMINI_API_KEY ? 'Configured' : 'MISSING'}`);
+  });
+}
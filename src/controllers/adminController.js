@@ -0,0 +1,45 @@
+const { apiKeys } = require('../utils/apiKeys');
+const { usage, LIMITS } = require('../utils/usage');
+
+exports.listKeys = (req, res) => {
+  res.json({ ok: true, keys: apiKeys.list() });
+};
+
+// The plain key is only ever returned here
+exports.createKey = (req, res) => {
+  const { name, role } = req.body || {};
+  try {
+    const { key, entry } = apiKeys.create({ name, role });
+    res.status(201).json({ ok: true, key, ...entry, message: 'Store this key now, it cannot be shown again' });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+exports.updateKey = (req, res) => {
+  const { name, role } = req.body || {};
+  try {
+    const entry = apiKeys.update(req.params.keyId, { name, role });
+    if (!entry) return res.status(404).json({ error: 'API key not found' });
+    res.json({ ok: true, ...entry });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+exports.revokeKey = (req, res) => {
+  const entry = apiKeys.revoke(req.params.keyId);
+  if (!entry) return res.status(404).json({ error: 'API key not found' });
+  res.json({ ok: true, ...entry });
+};
+
+// Gemini usage of every caller on one UTC day (?date=YYYY-MM-DD, default today)
+exports.usageReport = (req, res) => {
+  const date = req.query.date || new Date().toISOString().slice(0, 10);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+  const names = new Map(apiKeys.list().map(k => [`key:${k.id}`, k.name]));
+  const callers = usage.forDay(date)
+    .map(entry => ({ name: names.get(entry.callerId) || null, ...entry }))
+    .sort((a, b) => (b.generationTokens + b.embeddingTokens) - (a.generationTokens + a.embeddingTokens));
+  res.json({ ok: true, date, limits: LIMITS, callers });
+};
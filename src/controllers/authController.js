@@ -1,26 +1,34 @@
-const { google } = require('googleapis');
-const { OAuth2Client } = require('google-auth-library');
+const crypto = require('crypto');
+const { SCOPES, createOAuthClient, getSessionClient, isAuthError } = require('../utils/googleAuth');
+const { apiKeys } = require('../utils/apiKeys');
 
-const CLIENT_ID = process.env.GOOGLE_CLIENT_ID;
-const CLIENT_SECRET = process.env.GOOGLE_CLIENT_SECRET;
-const REDIRECT_URI = process.env.GOOGLE_REDIRECT_URI;
-
-const oauth2Client = new OAuth2Client(CLIENT_ID, CLIENT_SECRET, REDIRECT_URI);
+// Used only for the consent URL and code exchange; per-user calls go through getSessionClient
+const oauth2Client = createOAuthClient();
+// FRONTEND_URL may be given as a bare host (e.g. "app.netlify.app")
+const frontendUrl = (value) => (/^https?:\/\//.test(value) ? value : `https://${value}`).replace(/\/+$/, '');
+const FRONTEND_URL = frontendUrl(process.env.FRONTEND_URL || 'https://bemlkmrcldocuemt.netlify.app');
 
 exports.authUrl = (req, res) => {
+  // state ties Google's redirect back to this session
+  req.session.oauthState = crypto.randomBytes(16).toString('hex');
   const authUrl = oauth2Client.generateAuthUrl({
     access_type: 'offline',
-    scope: [
-      'https://www.googleapis.com/auth/drive.readonly',
-      'https://www.googleapis.com/auth/drive.file'
-    ],
-    prompt: 'consent'
+    scope: SCOPES,
+    prompt: 'consent',
+    state: req.session.oauthState
   });
   res.json({ url: authUrl });
 };
 
+// The frontend posts the code and state it received from Google; the state must be
+// the one /url issued to this session, as in googleCallback
 exports.callback = async (req, res) => {
-  const { code } = req.body;
+  const { code, state } = req.body || {};
+  const expectedState = req.session.oauthState;
+  delete req.session.oauthState;
+  if (!code || !state || state !== expectedState) {
+    return res.status(400).json({ error: 'Invalid or missing OAuth state' });
+  }
   try {
     const { tokens } = await oauth2Client.getToken(code);
     req.session.tokens = tokens;
@@ -30,10 +38,62 @@ exports.callback = async (req, res) => {
   }
 };
 
-exports.checkAuth = (req, res) => {
-  if (req.session.tokens) {
-    res.json({ authenticated: true });
-  } else {
+// Google redirects here (GOOGLE_REDIRECT_URI); the user is sent back to the frontend
+exports.googleCallback = async (req, res) => {
+  const { code, state, error } = req.query;
+  const expectedState = req.session.oauthState;
+  delete req.session.oauthState;
+  if (error || !code || !state || state !== expectedState) {
+    return res.redirect(`${FRONTEND_URL}?auth=error`);
+  }
+  try {
+    const { tokens } = await oauth2Client.getToken(code);
+    req.session.tokens = tokens;
+    res.redirect(`${FRONTEND_URL}?auth=success`);
+  } catch (err) {
+    console.error('Google OAuth callback failed:', err.message);
+    res.redirect(`${FRONTEND_URL}?auth=error`);
+  }
+};
+
+// Also refreshes an expired access token, so a revoked grant shows up as signed out
+exports.checkAuth = async (req, res) => {
+  if (!req.session.tokens) {
+    return res.json({ authenticated: false });
+  }
+  try {
+    await getSessionClient(req).getAccessToken();
+    res.json({ authenticated: true, expiresAt: req.session.tokens.expiry_date || null });
+  } catch (error) {
+    if (!isAuthError(error)) {
+      return res.status(502).json({ error: 'Could not reach Google', details: error.message });
+    }
+    delete req.session.tokens;
     res.json({ authenticated: false });
   }
 };
+
+// Browser clients trade an API key for a session so the key need not be kept in the page
+exports.keyLogin = (req, res) => {
+  const principal = apiKeys.verify(req.body?.apiKey);
+  if (!principal) {
+    return res.status(401).json({ error: 'Invalid or revoked API key' });
+  }
+  // ADMIN_API_KEY has no stored entry to point a session at
+  if (!apiKeys.getActive(principal.id)) {
+    return res.status(400).json({ error: 'ADMIN_API_KEY cannot open a session; send it as a header or create a key' });
+  }
+  req.session.apiKeyId = principal.id;
+  res.json({ authenticated: true, name: principal.name, role: principal.role });
+};
+
+// Who the request is authenticated as (API key, key session or anonymous role)
+exports.me = (req, res) => {
+  if (!req.principal) return res.json({ authenticated: false });
+  const { id, name, role, via } = req.principal;
+  res.json({ authenticated: true, id, name, role, via });
+};
+
+exports.logout = (req, res) => {
+  req.session.destroy(() => res.json({ success: true }));
+};
@@ -1,21 +1,21 @@
 const { google } = require('googleapis');
-const fetch = require('node-fetch');
-const { extractTextFromPDF } = require('../utils/ocr');
 const { sanitizeContent } = require('../utils/sanitizer');
-
-let oauth2Client;
-
-const getAuthClient = (req) => {
-  if (!oauth2Client) {
-    oauth2Client = new google.auth.OAuth2();
+const { extractBuffer } = require('../utils/extract');
+const { downloadFile, isReadable } = require('../utils/driveFiles');
+const { getSessionClient, isAuthError } = require('../utils/googleAuth');
+
+// Expired or revoked grants sign the user out instead of failing with a 500
+const sendDriveError = (req, res, message, error) => {
+  if (isAuthError(error)) {
+    delete req.session.tokens;
+    return res.status(401).json({ error: 'Google session expired, please sign in again' });
   }
-  oauth2Client.setCredentials(req.session.tokens);
-  return oauth2Client;
+  res.status(500).json({ error: message, details: error.message });
 };
 
 exports.listFiles = async (req, res) => {
   try {
-    const auth = getAuthClient(req);
+    const auth = getSessionClient(req);
     const drive = google.drive({ version: 'v3', auth });
 
     const folderId = process.env.MAIN_DRIVE_FOLDER_ID;
@@ -24,38 +24,35 @@ exports.listFiles = async (req, res) => {
     const response = await drive.files.list({ q: query, fields: 'files(id, name, mimeType, modifiedTime)' });
     res.json(response.data.files);
   } catch (error) {
-    res.status(500).json({ error: 'Failed to list files', details: error.message });
+    sendDriveError(req, res, 'Failed to list files', error);
   }
 };
 
 exports.getFileContent = async (req, res) => {
   const { fileId } = req.params;
   try {
-    const auth = getAuthClient(req);
+    const auth = getSessionClient(req);
     const drive = google.drive({ version: 'v3', auth });
 
-    const file = await drive.files.get({ fileId, fields: 'name, mimeType' });
-    const fileName = file.data.name;
-    const mimeType = file.data.mimeType;
-
-    let content = '';
-
-    if (mimeType === 'application/pdf') {
-      const buffer = await drive.files.export({ fileId, mimeType: 'application/pdf' }).then(r => r.data);
-      content = await extractTextFromPDF(buffer);
-    } else if (mimeType.startsWith('image/')) {
-      const buffer = await drive.files.get({ fileId, alt: 'media' }).then(r => r.data);
-      content = await extractTextFromPDF(buffer); // Tesseract handles images
-    } else {
-      const buffer = await drive.files.export({ fileId, mimeType: 'text/plain' }).then(r => r.data);
-      content = buffer.toString('utf8');
+    const { data: file } = await drive.files.get({ fileId, fields: 'id, name, mimeType', supportsAllDrives: true });
+    if (!isReadable(file.mimeType)) {
+      return res.status(415).json({ error: `Cannot read Drive files of type ${file.mimeType}` });
     }
 
+    // Docs/Sheets/Slides are exported, other files downloaded; then the same
+    // extraction as uploads, so the text and table rows match what gets indexed
+    const { buffer, mimeType } = await downloadFile(drive, file);
+    const { text, pages, tables } = await extractBuffer(buffer, mimeType, file.name);
+
     res.json({
-      name: fileName,
-      content: sanitizeContent(content)
+      name: file.name,
+      mimeType: file.mimeType,
+      exportedAs: mimeType === file.mimeType ? null : mimeType,
+      content: sanitizeContent(text),
+      pageCount: pages ? pages.length : null,
+      tables
     });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to read file', details: error.message });
+    sendDriveError(req, res, 'Failed to read file', error);
   }
 };
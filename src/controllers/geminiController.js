@@ -1,93 +1,90 @@
 // backend/src/controllers/geminiController.js
-const fetch = require('node-fetch');
-const { sanitizeContent } = require('../utils/sanitizer');
-
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const GEMINI_API_URL = `https://generativelanguage.googleapis.com/v1beta/models/gemini-pro:generateContent?key=${GEMINI_API_KEY}`;
+const { KeywordIndex } = require('../utils/keywordIndex');
+const { ANSWER_GENERATION_CONFIG, generateAnswer } = require('../utils/answerSchema');
+const { llmClient, LLMError } = require('../utils/llmClient');
 
 exports.analyzeDocuments = async (req, res) => {
-  const { fileContents, query } = req.body;
-
-  if (!fileContents || !query) {
-    return res.status(400).json({ error: 'Missing fileContents or query' });
-  }
-
-  const combinedText = fileContents
-    .map(f => `File: ${f.name}\nContent:\n${f.content.substring(0, 2000)}...`)
-    .join('\n\n');
-
-  // 🔥 Critical: Force Gemini to return valid JSON
-  const prompt = `
-You are an expert metro systems engineer. Analyze the documents and respond in **valid JSON only**.
-Do not add explanations outside JSON.
-
-Respond with:
+  try {
+    const { fileContents, query, modelId = llmClient.defaultModelId } = req.body;
+    
+    if (!fileContents || !query) {
+      return res.status(400).json({ 
+        error: 'Missing fileContents or query',
+        details: 'Both fileContents and query are required parameters'
+      });
+    }
+    if (!(await llmClient.hasModel(modelId))) {
+      return res.status(400).json({
+        error: 'Unknown modelId',
+        details: `No registered LLM with id ${modelId}; see GET /api/mcp/models`
+      });
+    }
+    
+    console.log('Received AI request:', { 
+      query: query.substring(0, 100) + '...', 
+      fileCount: fileContents.length,
+      firstFileName: fileContents[0]?.name
+    });
+    
+    // Create prompt for Gemini
+    const combinedText = fileContents
+      .map(f => `File: ${f.name}\nContent: ${f.content.substring(0, 2000)}...`)
+      .join('\n\n---\n\n');
+    
+    const prompt = `
+You are an expert metro systems engineer and document analyst. Analyze the documents and respond in valid JSON format only.
+Respond with this exact JSON structure:
 {
-  "technicalSummary": "Detailed technical explanation",
-  "laymanSummary": "Simple explanation for non-engineers",
+  "technicalSummary": "string",
+  "laymanSummary": "string",
   "wireDetails": [
-    { "id": "W1", "spec": "1.5mm²", "from": "Panel A", "to": "Motor B" }
+    { "id": "string", "spec": "string", "from": "string", "to": "string", "voltage": "string", "current": "string" }
   ],
   "components": [
-    { "name": "Relay X1", "type": "Electromechanical", "specs": { "voltage": "24VDC" } }
+    { "name": "string", "type": "string", "specs": [{ "name": "string", "value": "string" }], "location": "string" }
   ],
-  "architectureSuggestion": "Mermaid.js flowchart code or description"
+  "architectureSuggestion": "string (Mermaid.js flowchart code)"
 }
-
-Documents:
+User Query: "${query}"
+Relevant Documents:
 ${combinedText}
-
-Query: "${query}"
-
-Return only the JSON object. No extra text.
+Important: Return only the JSON object. No extra text, no markdown, no explanations outside the JSON structure.
+If information is not available in the documents, indicate that in the summaries.
 `;
-
-  try {
-    const response = await fetch(GEMINI_API_URL, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        contents: [{ role: 'user', parts: [{ text: prompt }] }]
-      })
-    });
-
-    if (!response.ok) {
-      const errText = await response.text();
-      throw new Error(`Gemini API error ${response.status}: ${errText}`);
-    }
-
-    const data = await response.json();
-
-    if (!data.candidates || data.candidates.length === 0) {
-      throw new Error('No response from Gemini');
-    }
-
-    const rawOutput = data.candidates[0].content.parts[0].text.trim();
-
-    let parsed;
-    try {
-      // Strip any markdown or extra text
-      const jsonText = rawOutput.replace(/```json|```/g, '').trim();
-      parsed = JSON.parse(jsonText);
-    } catch (parseError) {
-      // Fallback: return raw text if JSON fails
-      console.warn('Gemini returned invalid JSON, returning raw:', rawOutput);
-      parsed = {
-        technicalSummary: `AI Response (not JSON): ${rawOutput.substring(0, 500)}...`,
-        laymanSummary: "Could not parse detailed response.",
-        wireDetails: [],
-        components: [],
-        architectureSuggestion: ""
-      };
-    }
-
-    res.json(parsed);
+    
+    // Call Gemini API; output that fails the answer schema is regenerated a bounded number of times
+    const generate = async (attemptPrompt) =>
+      (await llmClient.generate(attemptPrompt, { modelId, generationConfig: ANSWER_GENERATION_CONFIG })).text;
+    const { answer: result, validation } = await generateAnswer(prompt, generate);
+    if (!validation.valid) console.error('AI response failed validation:', validation.errors);
+    result.validation = validation;
+    result.modelId = modelId;
+    
+    // Add sources information, scored by BM25 relevance of each file to the query
+    // (normalised so the best-matching file is 1; 0 means no query terms occur)
+    const fileIndex = new KeywordIndex();
+    fileContents.forEach((file, index) => fileIndex.add(index, file.content));
+    const fileHits = fileIndex.search(query);
+    const topScore = fileHits.length ? fileHits[0].score : 1;
+    const fileScores = new Map(fileHits.map(h => [h.id, h.score / topScore]));
+    result.sources = fileContents.map((file, index) => ({
+      name: file.name,
+      type: file.mimeType,
+      score: fileScores.get(index) || 0,
+      snippet: file.content.substring(0, 200) + (file.content.length > 200 ? "..." : "")
+    }));
+    
+    // Log for debugging
+    console.log('AI analysis completed successfully');
+    
+    res.json(result);
+    
   } catch (error) {
-    console.error('Gemini API failed:', error);
-    res.status(500).json({ 
-      error: 'AI analysis failed', 
+    console.error('AI analysis failed:', error);
+    res.status(error instanceof LLMError ? error.status : 500).json({
+      error: 'AI analysis failed',
       details: error.message,
-      raw: error.raw // for debugging
+      ...(error instanceof LLMError ? { code: error.code } : {})
     });
   }
 };
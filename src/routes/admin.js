@@ -0,0 +1,15 @@
+const express = require('express');
+const { listKeys, createKey, updateKey, revokeKey, usageReport } = require('../controllers/adminController');
+const { requireRole } = require('../utils/apiKeys');
+
+const router = express.Router();
+
+router.use(requireRole('admin'));
+
+router.get('/keys', listKeys);
+router.post('/keys', createKey);
+router.patch('/keys/:keyId', updateKey);
+router.delete('/keys/:keyId', revokeKey);
+router.get('/usage', usageReport);
+
+module.exports = router;
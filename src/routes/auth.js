@@ -1,10 +1,14 @@
 const express = require('express');
-const { authUrl, callback, checkAuth } = require('../controllers/authController');
+const { authUrl, callback, googleCallback, checkAuth, keyLogin, me, logout } = require('../controllers/authController');
 
 const router = express.Router();
 
 router.get('/url', authUrl);
 router.post('/callback', callback);
+router.get('/google/callback', googleCallback);
 router.get('/status', checkAuth);
+router.post('/key-login', keyLogin);
+router.get('/me', me);
+router.post('/logout', logout);
 
 module.exports = router;
@@ -1,9 +1,11 @@
 const express = require('express');
 const { listFiles, getFileContent } = require('../controllers/driveController');
+const { requireGoogleAuth } = require('../utils/googleAuth');
+const { requireRole } = require('../utils/apiKeys');
 
 const router = express.Router();
 
-router.get('/files', listFiles);
-router.get('/file/:fileId', getFileContent);
+router.get('/files', requireRole('viewer'), requireGoogleAuth, listFiles);
+router.get('/file/:fileId', requireRole('viewer'), requireGoogleAuth, getFileContent);
 
 module.exports = router;
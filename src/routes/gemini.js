@@ -1,8 +1,11 @@
 const express = require('express');
 const { analyzeDocuments } = require('../controllers/geminiController');
+const { requireRole } = require('../utils/apiKeys');
+const { rateLimit } = require('../utils/rateLimit');
+const { requireQuota } = require('../utils/usage');
 
 const router = express.Router();
 
-router.post('/analyze', analyzeDocuments);
+router.post('/analyze', requireRole('viewer'), rateLimit, requireQuota('generation'), analyzeDocuments);
 
 module.exports = router;
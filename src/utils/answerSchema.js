@@ -0,0 +1,215 @@
+// The structured answer returned by /ask and the analyze endpoints:
+// { technicalSummary, laymanSummary, wireDetails, components, architectureSuggestion }.
+//
+// ANSWER_SCHEMA is passed to Gemini as responseSchema. Replies are parsed (with a
+// repair pass for near-valid JSON such as code fences, trailing commas or truncated
+// output), validated field by field against the same schema, and regenerated up to
+// ANSWER_MAX_ATTEMPTS times with the validation errors fed back when invalid.
+//
+// Gemini schemas cannot describe free-form objects, so component specs travel as
+// [{ name, value }] and are turned back into a { name: value } object afterwards.
+const MAX_ATTEMPTS = parseInt(process.env.ANSWER_MAX_ATTEMPTS || '2', 10);
+
+const string = { type: 'STRING' };
+
+const ANSWER_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    technicalSummary: string,
+    laymanSummary: string,
+    wireDetails: {
+      type: 'ARRAY',
+      items: {
+        type: 'OBJECT',
+        properties: { id: string, spec: string, from: string, to: string, voltage: string, current: string }
+      }
+    },
+    components: {
+      type: 'ARRAY',
+      items: {
+        type: 'OBJECT',
+        properties: {
+          name: string,
+          type: string,
+          specs: {
+            type: 'ARRAY',
+            items: { type: 'OBJECT', properties: { name: string, value: string }, required: ['name', 'value'] }
+          },
+          location: string
+        },
+        required: ['name']
+      }
+    },
+    architectureSuggestion: string
+  },
+  required: ['technicalSummary', 'laymanSummary', 'wireDetails', 'components', 'architectureSuggestion']
+};
+
+const ANSWER_GENERATION_CONFIG = {
+  responseMimeType: 'application/json',
+  responseSchema: ANSWER_SCHEMA
+};
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+// Validate value against a schema node. Numbers and booleans are accepted as strings
+// and missing optional fields default to empty; anything else is an error.
+// Returns the cleaned value (unknown properties dropped).
+const check = (value, schema, path, errors) => {
+  if (schema.type === 'STRING') {
+    if (typeof value === 'string') return value;
+    if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+    if (value === null || value === undefined) return '';
+    errors.push(`${path} must be a string`);
+    return '';
+  }
+  if (schema.type === 'ARRAY') {
+    if (value === null || value === undefined) return [];
+    if (!Array.isArray(value)) {
+      errors.push(`${path} must be an array`);
+      return [];
+    }
+    return value.map((item, i) => check(item, schema.items, `${path}[${i}]`, errors));
+  }
+  if (!isPlainObject(value)) {
+    errors.push(`${path} must be an object`);
+    return {};
+  }
+  const out = {};
+  for (const [key, child] of Object.entries(schema.properties)) {
+    if (value[key] === undefined && (schema.required || []).includes(key)) {
+      errors.push(`${path}.${key} is required`);
+    }
+    out[key] = check(value[key], child, `${path}.${key}`, errors);
+  }
+  return out;
+};
+
+// Returns { answer, errors }; answer has specs as an object, ready for the API response
+const validateAnswer = (value) => {
+  const errors = [];
+  // Prompts without responseSchema tend to produce specs as an object already
+  const input = isPlainObject(value) && Array.isArray(value.components)
+    ? {
+      ...value,
+      components: value.components.map(c => (isPlainObject(c) && isPlainObject(c.specs)
+        ? { ...c, specs: Object.entries(c.specs).map(([name, v]) => ({ name, value: v })) }
+        : c))
+    }
+    : value;
+  const answer = check(input, ANSWER_SCHEMA, '$', errors);
+  answer.components = (answer.components || []).map(c => ({
+    ...c,
+    specs: Object.fromEntries((c.specs || []).map(s => [s.name, s.value]))
+  }));
+  if (!errors.length && !answer.technicalSummary.trim()) errors.push('$.technicalSummary must not be empty');
+  return { answer, errors };
+};
+
+// Best-effort fix-up of near-valid JSON: drops code fences and text around the
+// object, escapes raw newlines in strings, removes trailing commas and closes
+// whatever a truncated reply left open. Returns a string to JSON.parse, or null.
+const repairJson = (text) => {
+  const source = String(text || '').replace(/```(?:json)?/gi, '');
+  const start = source.indexOf('{');
+  if (start === -1) return null;
+  let out = '';
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+  for (const ch of source.slice(start)) {
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+      if (ch === '\n') out += '\\n';
+      else if (ch === '\r') out += '\\r';
+      else if (ch === '\t') out += '\\t';
+      else out += ch;
+      continue;
+    }
+    if (ch === '"') {
+      inString = true;
+    } else if (ch === '{' || ch === '[') {
+      stack.push(ch === '{' ? '}' : ']');
+    } else if (ch === '}' || ch === ']') {
+      out = out.replace(/,\s*$/, '');
+      stack.pop();
+      out += ch;
+      if (!stack.length) break;
+      continue;
+    }
+    out += ch;
+  }
+  if (escaped) out = out.slice(0, -1);
+  if (inString) out += '"';
+  // A truncated reply can end on a key with no value: drop it
+  if (stack[stack.length - 1] === '}') {
+    const danglingKey = out.match(/([{,])\s*"(?:[^"\\]|\\.)*"\s*:?\s*$/);
+    if (danglingKey && !/:\s*$/.test(out.slice(0, danglingKey.index + 1))) {
+      out = out.slice(0, danglingKey.index + 1);
+    }
+  }
+  out = out.replace(/[\s,:]+$/, '');
+  return out + stack.reverse().join('');
+};
+
+// Parse and validate one model reply: { valid, answer, errors, repaired }
+const parseAnswer = (raw) => {
+  let value;
+  let repaired = false;
+  try {
+    value = JSON.parse(raw);
+  } catch (e) {
+    const fixed = repairJson(raw);
+    try {
+      value = fixed === null ? undefined : JSON.parse(fixed);
+      repaired = value !== undefined;
+    } catch (err) {
+      value = undefined;
+    }
+  }
+  if (value === undefined) return { valid: false, answer: null, errors: ['Reply is not valid JSON'], repaired: false };
+  const { answer, errors } = validateAnswer(value);
+  return { valid: !errors.length, answer, errors, repaired };
+};
+
+// What callers return when no attempt produced a valid answer
+const fallbackAnswer = (raw) => ({
+  technicalSummary: String(raw || '').trim() || 'No response from the model.',
+  laymanSummary: "Could not generate layman's summary.",
+  wireDetails: [],
+  components: [],
+  architectureSuggestion: ''
+});
+
+// generate(prompt, attempt) resolves to the raw model text (attempt starts at 1).
+// Returns { answer, validation: { valid, attempts, repaired, errors } }.
+const generateAnswer = async (prompt, generate, { maxAttempts = MAX_ATTEMPTS } = {}) => {
+  let attemptPrompt = prompt;
+  let last = null;
+  let raw = '';
+  for (let attempt = 1; attempt <= Math.max(1, maxAttempts); attempt++) {
+    raw = await generate(attemptPrompt, attempt);
+    last = parseAnswer(raw);
+    if (last.valid) {
+      return { answer: last.answer, validation: { valid: true, attempts: attempt, repaired: last.repaired, errors: [] } };
+    }
+    attemptPrompt = `${prompt}
+Your previous reply did not match the required JSON structure:
+${last.errors.slice(0, 20).map(e => `- ${e}`).join('\n')}
+Reply again with only the corrected JSON object.`;
+  }
+  return {
+    answer: fallbackAnswer(raw),
+    validation: { valid: false, attempts: Math.max(1, maxAttempts), repaired: false, errors: last.errors }
+  };
+};
+
+exports.ANSWER_SCHEMA = ANSWER_SCHEMA;
+exports.ANSWER_GENERATION_CONFIG = ANSWER_GENERATION_CONFIG;
+exports.validateAnswer = validateAnswer;
+exports.repairJson = repairJson;
+exports.parseAnswer = parseAnswer;
+exports.fallbackAnswer = fallbackAnswer;
+exports.generateAnswer = generateAnswer;
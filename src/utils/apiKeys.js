@@ -0,0 +1,172 @@
+// API keys and roles. Roles are ordered: viewer (ask and read) < editor (ingest and
+// change documents) < admin (clear the index, manage keys and models).
+//
+// A request is authenticated by an API key in `Authorization: Bearer <key>` or
+// `X-API-Key`, or by a session that logged in with a key (POST /auth/key-login).
+// ADMIN_API_KEY from the environment is always an admin key, which bootstraps key
+// management. Without credentials a request gets ANONYMOUS_ROLE (default: none).
+//
+// A key session rides on a cookie the browser also sends on cross-site requests
+// (SameSite=None in production), so guardSessionOrigin only lets state-changing
+// requests through it from a trusted origin or with an X-Requested-With header,
+// which a cross-site page cannot add without passing the CORS preflight.
+//
+// Keys are shown once when created; api-keys.json in the data directory keeps only
+// their SHA-256 hash and a short prefix to tell them apart.
+const crypto = require('crypto');
+const { JsonFile } = require('./jsonFile');
+
+const ROLES = ['viewer', 'editor', 'admin'];
+const KEY_PREFIX = 'kmrc_';
+const LAST_USED_RESOLUTION_MS = 60 * 1000; // lastUsedAt is saved at most this often per key
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+const hasRole = (role, required) => ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+
+const publicEntry = ({ keyHash, ...entry }) => entry;
+
+class ApiKeyStore {
+  constructor(options = {}) {
+    this.file = new JsonFile('api-keys.json', options);
+    this.keys = new Map(); // id -> { id, name, role, keyHash, prefix, createdAt, lastUsedAt, revokedAt }
+    this.adminKeyHash = process.env.ADMIN_API_KEY ? hashKey(process.env.ADMIN_API_KEY) : null;
+  }
+
+  load() {
+    this.keys = new Map(this.file.read([]).map(k => [k.id, k]));
+  }
+
+  save() {
+    this.file.write(Array.from(this.keys.values()));
+  }
+
+  // Returns { key, entry }; the plain key is not stored anywhere
+  create({ name = '', role }) {
+    if (!ROLES.includes(role)) throw new Error(`role must be one of: ${ROLES.join(', ')}`);
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const entry = {
+      id: crypto.randomUUID(),
+      name: String(name),
+      role,
+      keyHash: hashKey(key),
+      prefix: key.slice(0, KEY_PREFIX.length + 6),
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+      revokedAt: null
+    };
+    this.keys.set(entry.id, entry);
+    this.save();
+    return { key, entry: publicEntry(entry) };
+  }
+
+  list() {
+    return Array.from(this.keys.values()).map(publicEntry);
+  }
+
+  update(id, { name, role }) {
+    const entry = this.keys.get(id);
+    if (!entry) return null;
+    if (role !== undefined && !ROLES.includes(role)) throw new Error(`role must be one of: ${ROLES.join(', ')}`);
+    if (name !== undefined) entry.name = String(name);
+    if (role !== undefined) entry.role = role;
+    this.save();
+    return publicEntry(entry);
+  }
+
+  // Revoked keys stay listed so their history is visible
+  revoke(id) {
+    const entry = this.keys.get(id);
+    if (!entry) return null;
+    if (!entry.revokedAt) {
+      entry.revokedAt = new Date().toISOString();
+      this.save();
+    }
+    return publicEntry(entry);
+  }
+
+  // Active key entry by ID (for sessions), or null
+  getActive(id) {
+    const entry = this.keys.get(id);
+    return entry && !entry.revokedAt ? entry : null;
+  }
+
+  // The principal a plain key stands for, or null
+  verify(key) {
+    if (!key) return null;
+    const keyHash = hashKey(key);
+    if (this.adminKeyHash && crypto.timingSafeEqual(Buffer.from(keyHash), Buffer.from(this.adminKeyHash))) {
+      return { id: 'ADMIN_API_KEY', name: 'ADMIN_API_KEY', role: 'admin' };
+    }
+    const entry = Array.from(this.keys.values()).find(k => !k.revokedAt && k.keyHash === keyHash);
+    if (!entry) return null;
+    const now = Date.now();
+    if (!entry.lastUsedAt || now - Date.parse(entry.lastUsedAt) > LAST_USED_RESOLUTION_MS) {
+      entry.lastUsedAt = new Date(now).toISOString();
+      this.save();
+    }
+    return { id: entry.id, name: entry.name, role: entry.role };
+  }
+}
+
+// One store per process: the auth middleware and the admin routes share it
+const apiKeys = new ApiKeyStore();
+
+const requestKey = (req) => {
+  const header = req.headers.authorization || '';
+  const bearer = header.match(/^Bearer\s+(.+)$/i);
+  return bearer ? bearer[1].trim() : (req.headers['x-api-key'] || '').trim();
+};
+
+// Sets req.principal ({ id, name, role, via }) or leaves it null; never rejects by itself.
+// A key that is sent but not valid is remembered so requireRole can say so.
+const authenticate = (req, res, next) => {
+  req.principal = null;
+  const key = requestKey(req);
+  if (key) {
+    const principal = apiKeys.verify(key);
+    if (principal) req.principal = { ...principal, via: 'key' };
+    else req.invalidApiKey = true;
+  } else if (req.session?.apiKeyId) {
+    const entry = apiKeys.getActive(req.session.apiKeyId);
+    if (entry) req.principal = { id: entry.id, name: entry.name, role: entry.role, via: 'session' };
+    else delete req.session.apiKeyId;
+  }
+  const anonymousRole = process.env.ANONYMOUS_ROLE;
+  if (!req.principal && !req.invalidApiKey && ROLES.includes(anonymousRole)) {
+    req.principal = { id: 'anonymous', name: 'anonymous', role: anonymousRole, via: 'anonymous' };
+  }
+  next();
+};
+
+// Middleware (after authenticate): 403 for a session-authenticated POST/PUT/PATCH/DELETE
+// that comes from an untrusted origin and has no X-Requested-With header
+const guardSessionOrigin = (trustedOrigins) => (req, res, next) => {
+  if (req.principal?.via !== 'session' || SAFE_METHODS.includes(req.method)) return next();
+  if (trustedOrigins.includes(req.headers.origin) || req.headers['x-requested-with']) return next();
+  res.status(403).json({
+    error: 'Cross-site request rejected: session requests must come from an allowed origin or send X-Requested-With'
+  });
+};
+
+// Route guard: 401 without (valid) credentials, 403 when the role is too low
+const requireRole = (role) => (req, res, next) => {
+  if (!req.principal) {
+    return res.status(401).json({
+      error: req.invalidApiKey ? 'Invalid or revoked API key' : 'Authentication required: send an API key'
+    });
+  }
+  if (!hasRole(req.principal.role, role)) {
+    return res.status(403).json({ error: `Requires the ${role} role (you have ${req.principal.role})` });
+  }
+  next();
+};
+
+exports.ROLES = ROLES;
+exports.ApiKeyStore = ApiKeyStore;
+exports.apiKeys = apiKeys;
+exports.hasRole = hasRole;
+exports.authenticate = authenticate;
+exports.guardSessionOrigin = guardSessionOrigin;
+exports.requireRole = requireRole;
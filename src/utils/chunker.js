@@ -0,0 +1,219 @@
+// Structure-aware chunking for text from extractText.
+// The text is split into units (headings, numbered procedure steps, list items,
+// table blocks, paragraphs), and whole units are packed into chunks up to a
+// token budget. A chunk never holds body text from two sections (the heading of
+// an empty section opens the next chunk), and each chunk records the heading
+// path it sits under, e.g. ["4 Doors", "4.2 Door Control Unit"].
+// Paged input ([{ page, text }], e.g. from a PDF) also gives each chunk the
+// first and last page its text came from.
+const DEFAULT_TOKEN_BUDGET = parseInt(process.env.CHUNK_TOKENS || '300', 10);
+
+// Rough token count for Gemini-style tokenisers (~4 characters per token)
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+const MARKDOWN_HEADING = /^(#{1,6})\s+(.+)$/;
+const NUMBERED_HEADING = /^(\d+(?:\.\d+)+)\.?\s+(\S.{0,100})$/; // 4.2 / 4.2.1 Title
+const TOP_NUMBERED_HEADING = /^(\d+)\.?\s+(\S.{0,80})$/; // 4 Title (checked for title case below)
+const NAMED_HEADING = /^(chapter|section|part|appendix|annex)\s+[\w.-]+\b.{0,80}$/i;
+const STEP = /^(step\s+\d+[:.)]?|\d+[.)]|[a-z][.)]|\([a-z0-9]{1,3}\))\s+\S/i;
+const LIST_ITEM = /^([-•*▪–·]|o)\s+\S/;
+const ADMONITION = /^(warning|caution|danger|note|notice|important)\b/i; // safety notices in capitals are body text
+
+const isTitleCase = (text) => {
+  const words = text.split(/\s+/).filter(w => /[a-z]/i.test(w));
+  if (!words.length || words.length > 8) return false;
+  const capitalised = words.filter(w => /^[A-Z0-9]/.test(w)).length;
+  return capitalised / words.length >= 0.5;
+};
+
+const isAllCapsHeading = (line) => {
+  const letters = line.replace(/[^A-Za-z]/g, '');
+  return letters.length >= 3 &&
+    letters === letters.toUpperCase() &&
+    line.length <= 80 &&
+    line.split(/\s+/).length <= 10 &&
+    !/[.:;,]$/.test(line);
+};
+
+// The number a step or numbered line starts with ("2." / "Step 2:"), or null
+const leadingNumber = (line) => {
+  const m = line.match(/^(?:step\s+)?(\d+)[.):]?\s/i);
+  return m ? parseInt(m[1], 10) : null;
+};
+
+// Returns { level } for heading lines, otherwise null. nextStep: the number that
+// would continue the procedure above, so "2. Check ..." after step 1 stays a step.
+const headingLevel = (line, { nextStep = null } = {}) => {
+  let m = line.match(MARKDOWN_HEADING);
+  if (m) return { level: m[1].length, text: m[2].trim() };
+  m = line.match(NUMBERED_HEADING);
+  if (m && !/[.;:,]$/.test(m[2])) return { level: m[1].split('.').length, text: line };
+  m = line.match(TOP_NUMBERED_HEADING);
+  if (m && parseInt(m[1], 10) !== nextStep && !/[.;:,]$/.test(m[2]) && isTitleCase(m[2])) return { level: 1, text: line };
+  if (NAMED_HEADING.test(line) && !/[.;,]$/.test(line)) return { level: 1, text: line };
+  if (isAllCapsHeading(line) && !ADMONITION.test(line)) return { level: 1, text: line };
+  return null;
+};
+
+const commaCount = (line) => (line.match(/,/g) || []).length;
+
+// Comma-separated rows need a neighbouring line with as many commas, so a sentence
+// listing a few things stays prose
+const isCommaRow = (line, previous = '', next = '') => {
+  const count = commaCount(line);
+  return count >= 3 && !/[.!?]$/.test(line) && (commaCount(previous) === count || commaCount(next) === count);
+};
+
+const isTableLine = (line, previous, next) =>
+  line.includes('\t') ||
+  (line.match(/\|/g) || []).length >= 2 ||
+  (line.match(/ {2,}\S/g) || []).length >= 2 ||
+  isCommaRow(line, previous, next);
+
+// Split text into typed units: { type, text, level? }
+const toUnits = (text) => {
+  const units = [];
+  const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+  let paragraph = [];
+  let table = [];
+  let continuable = false; // a wrapped line may still belong to the last step or list item
+  const flushParagraph = () => {
+    if (paragraph.length) units.push({ type: 'paragraph', text: paragraph.join(' ') });
+    paragraph = [];
+  };
+  const flushTable = () => {
+    if (table.length >= 2) units.push({ type: 'table', text: table.join('\n') });
+    else if (table.length) paragraph.push(table[0].trim());
+    table = [];
+  };
+  lines.forEach((rawLine, i) => {
+    const line = rawLine.trimEnd();
+    const trimmed = line.trim();
+    if (!trimmed) {
+      flushTable();
+      flushParagraph();
+      continuable = false;
+      return;
+    }
+    if (isTableLine(line, lines[i - 1], lines[i + 1])) {
+      flushParagraph();
+      table.push(line);
+      return;
+    }
+    flushTable();
+    const last = units[units.length - 1];
+    const lastNumber = paragraph.length === 0 && last && last.type === 'step' ? leadingNumber(last.text) : null;
+    const heading = headingLevel(trimmed, { nextStep: lastNumber === null ? null : lastNumber + 1 });
+    if (heading) {
+      flushParagraph();
+      units.push({ type: 'heading', text: heading.text, level: heading.level });
+    } else if (STEP.test(trimmed)) {
+      flushParagraph();
+      units.push({ type: 'step', text: trimmed });
+      continuable = true;
+    } else if (LIST_ITEM.test(trimmed)) {
+      flushParagraph();
+      units.push({ type: 'list', text: trimmed });
+      continuable = true;
+    } else if (continuable && paragraph.length === 0 && last && ['step', 'list'].includes(last.type)) {
+      // Wrapped continuation of a step or list item
+      last.text += ` ${trimmed}`;
+    } else {
+      paragraph.push(trimmed);
+    }
+  });
+  flushTable();
+  flushParagraph();
+  return units;
+};
+
+// Break a unit that alone exceeds the budget: tables by rows (repeating the
+// first row as a header), prose by sentences, and anything left by characters
+const splitUnit = (unit, budget) => {
+  const pieces = [];
+  const pack = (parts, joiner, prefix = '') => {
+    let current = prefix;
+    for (const part of parts) {
+      const next = current ? `${current}${joiner}${part}` : part;
+      if (current && current !== prefix && estimateTokens(next) > budget) {
+        pieces.push(current);
+        current = prefix ? `${prefix}${joiner}${part}` : part;
+      } else {
+        current = next;
+      }
+    }
+    if (current && current !== prefix) pieces.push(current);
+  };
+  if (unit.type === 'table') {
+    const [header, ...rows] = unit.text.split('\n');
+    pack(rows, '\n', header);
+  } else {
+    pack(unit.text.split(/(?<=[.!?])\s+/), ' ');
+  }
+  const maxChars = budget * 4;
+  return pieces.flatMap(piece => {
+    if (estimateTokens(piece) <= budget) return [piece];
+    const slices = [];
+    for (let i = 0; i < piece.length; i += maxChars) slices.push(piece.slice(i, i + maxChars));
+    return slices;
+  });
+};
+
+// Units of every page, tagged with their page number (null for plain text)
+const toPagedUnits = (input) => {
+  if (!Array.isArray(input)) return toUnits(input).map(u => ({ ...u, page: null }));
+  return input.flatMap(p => toUnits(p.text).map(u => ({ ...u, page: p.page })));
+};
+
+// input: a string, or [{ page, text }] in page order.
+// Returns [{ text, headingPath, section, blockTypes, pageStart, pageEnd }]
+const chunkDocument = (input, { tokenBudget = DEFAULT_TOKEN_BUDGET } = {}) => {
+  const chunks = [];
+  const headings = []; // stack of { level, text }
+  let current = [];
+  const headingPath = () => headings.map(h => h.text);
+  // Headings wait for the content below them and open its chunk, so the heading of an
+  // empty section is carried into the next chunk and trailing headings are emitted alone
+  const hasContent = () => current.some(u => u.type !== 'heading');
+  const flush = () => {
+    if (current.length) {
+      const path = headingPath();
+      const pages = current.map(u => u.page).filter(p => p !== null);
+      chunks.push({
+        text: current.map(u => u.text).join('\n'),
+        headingPath: path,
+        section: path[path.length - 1] || '',
+        blockTypes: Array.from(new Set(current.map(u => u.type))),
+        pageStart: pages.length ? Math.min(...pages) : null,
+        pageEnd: pages.length ? Math.max(...pages) : null
+      });
+    }
+    current = [];
+  };
+  const size = () => estimateTokens(current.map(u => u.text).join('\n'));
+
+  for (const unit of toPagedUnits(input)) {
+    if (unit.type === 'heading') {
+      if (hasContent()) flush();
+      while (headings.length && headings[headings.length - 1].level >= unit.level) headings.pop();
+      headings.push({ level: unit.level, text: unit.text });
+      current.push(unit);
+      continue;
+    }
+    if (estimateTokens(unit.text) > tokenBudget) {
+      if (hasContent()) flush();
+      splitUnit(unit, tokenBudget).forEach(piece => {
+        current.push({ type: unit.type, text: piece, page: unit.page });
+        flush();
+      });
+      continue;
+    }
+    if (hasContent() && size() + estimateTokens(unit.text) > tokenBudget) flush();
+    current.push(unit);
+  }
+  flush();
+  return chunks;
+};
+
+exports.chunkDocument = chunkDocument;
+exports.estimateTokens = estimateTokens;
@@ -0,0 +1,71 @@
+// Named collections in VertexDB, e.g. one per train-set project or contractor package.
+// Every indexed chunk and table carries meta.collection; chunks from before
+// collections existed (no meta.collection) belong to the default collection, which
+// always exists and cannot be dropped. File names are unique within a collection.
+// This store only keeps the registry (name, description, createdAt) in
+// collections.json; the contents live in VertexDB and the TableStore.
+const { JsonFile } = require('./jsonFile');
+
+const DEFAULT_COLLECTION = 'default';
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+
+const collectionOf = (meta) => (meta && meta.collection) || DEFAULT_COLLECTION;
+
+class CollectionStore {
+  constructor(options = {}) {
+    this.file = new JsonFile('collections.json', options);
+    this.collections = new Map(); // name -> { name, description, createdAt }
+  }
+
+  load() {
+    this.collections = new Map(this.file.read([]).map(c => [c.name, c]));
+    if (!this.collections.has(DEFAULT_COLLECTION)) {
+      this.collections.set(DEFAULT_COLLECTION, {
+        name: DEFAULT_COLLECTION,
+        description: 'Documents ingested without a collection',
+        createdAt: new Date().toISOString()
+      });
+      this.save();
+    }
+  }
+
+  save() {
+    this.file.write(Array.from(this.collections.values()));
+  }
+
+  // Throws with a message fit for a 400 response; check has() first to answer 409
+  create({ name, description = '' }) {
+    if (!NAME_PATTERN.test(String(name || ''))) {
+      throw new Error('name must be 1-64 letters, digits, ".", "_" or "-", starting with a letter or digit');
+    }
+    if (this.collections.has(name)) throw new Error(`Collection already exists: ${name}`);
+    const collection = { name, description: String(description), createdAt: new Date().toISOString() };
+    this.collections.set(name, collection);
+    this.save();
+    return collection;
+  }
+
+  has(name) {
+    return this.collections.has(name);
+  }
+
+  get(name) {
+    return this.collections.get(name);
+  }
+
+  list() {
+    return Array.from(this.collections.values());
+  }
+
+  // The caller drops the collection's contents first
+  remove(name) {
+    if (name === DEFAULT_COLLECTION || !this.collections.has(name)) return false;
+    this.collections.delete(name);
+    this.save();
+    return true;
+  }
+}
+
+exports.CollectionStore = CollectionStore;
+exports.DEFAULT_COLLECTION = DEFAULT_COLLECTION;
+exports.collectionOf = collectionOf;
@@ -0,0 +1,69 @@
+// Conversation sessions for /ask: earlier turns and the sources they cited.
+// Kept in memory and written to conversations.json in the data directory after
+// every change, so sessions survive restarts alongside the index. Each conversation
+// records the ownerId of the principal (API key) that started it; null when it was
+// started without one (MCP stdio).
+const crypto = require('crypto');
+const { JsonFile } = require('./jsonFile');
+
+const MAX_TURNS = 50; // oldest turns are dropped beyond this
+
+class ConversationStore {
+  constructor(options = {}) {
+    this.file = new JsonFile('conversations.json', options);
+    this.conversations = new Map();
+  }
+
+  load() {
+    this.conversations = new Map(this.file.read([]).map(c => [c.id, c]));
+  }
+
+  save() {
+    this.file.write(Array.from(this.conversations.values()));
+  }
+
+  create(id = crypto.randomUUID(), title = '', ownerId = null) {
+    const now = new Date().toISOString();
+    const conversation = { id, title, ownerId, createdAt: now, updatedAt: now, turns: [] };
+    this.conversations.set(id, conversation);
+    this.save();
+    return conversation;
+  }
+
+  get(id) {
+    return this.conversations.get(id);
+  }
+
+  getOrCreate(id, ownerId = null) {
+    return this.get(id) || this.create(id, '', ownerId);
+  }
+
+  // Summaries of every conversation, or only ownerId's when given
+  list(ownerId) {
+    return Array.from(this.conversations.values())
+      .filter(c => ownerId === undefined || c.ownerId === ownerId)
+      .map(({ turns, ...summary }) => ({ ...summary, turnCount: turns.length }))
+      .sort((a, b) => (a.updatedAt < b.updatedAt ? 1 : -1));
+  }
+
+  // turn: { query, standaloneQuery, result, sources }; ownerId is used if this starts the conversation
+  addTurn(id, turn, ownerId = null) {
+    const conversation = this.getOrCreate(id, ownerId);
+    conversation.turns.push({ ...turn, createdAt: new Date().toISOString() });
+    if (conversation.turns.length > MAX_TURNS) {
+      conversation.turns = conversation.turns.slice(-MAX_TURNS);
+    }
+    if (!conversation.title) conversation.title = String(turn.query).slice(0, 80);
+    conversation.updatedAt = new Date().toISOString();
+    this.save();
+    return conversation;
+  }
+
+  delete(id) {
+    const existed = this.conversations.delete(id);
+    if (existed) this.save();
+    return existed;
+  }
+}
+
+exports.ConversationStore = ConversationStore;
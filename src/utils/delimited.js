@@ -0,0 +1,128 @@
+// RFC 4180 delimited-text parsing (CSV, TSV, semicolon and pipe separated).
+// Handles quoted fields with embedded delimiters, doubled quotes and newlines,
+// a leading BOM, delimiter sniffing and header-row detection.
+const DELIMITERS = [',', '\t', ';', '|'];
+
+const stripBom = (text) => (text.charCodeAt(0) === 0xfeff ? text.slice(1) : text);
+
+// Returns an array of records (arrays of field strings)
+const parseDelimited = (text, delimiter = ',') => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let i = 0;
+  const input = stripBom(String(text || ''));
+  const endField = () => {
+    record.push(field);
+    field = '';
+  };
+  const endRecord = () => {
+    endField();
+    // Skip blank lines rather than emitting [""] records
+    if (record.length > 1 || record[0] !== '') records.push(record);
+    record = [];
+  };
+  while (i < input.length) {
+    const c = input[i];
+    if (inQuotes) {
+      if (c === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i += 2;
+          continue;
+        }
+        inQuotes = false;
+      } else {
+        field += c;
+      }
+      i++;
+      continue;
+    }
+    if (c === '"' && field === '') {
+      inQuotes = true;
+    } else if (c === delimiter) {
+      endField();
+    } else if (c === '\r' || c === '\n') {
+      endRecord();
+      if (c === '\r' && input[i + 1] === '\n') i++;
+    } else {
+      field += c;
+    }
+    i++;
+  }
+  if (field !== '' || record.length) endRecord();
+  return records;
+};
+
+// Pick the delimiter that splits the sample into the most consistent, widest rows
+const detectDelimiter = (text) => {
+  const sample = stripBom(String(text || '')).slice(0, 20000);
+  let best = { delimiter: ',', score: 0 };
+  for (const delimiter of DELIMITERS) {
+    const records = parseDelimited(sample, delimiter).slice(0, 30);
+    if (records.length < 2) continue;
+    const widths = records.map(r => r.length);
+    const width = widths[0];
+    // Prose has the odd comma per line; demand more columns than that outside TSV
+    if (width < (delimiter === '\t' ? 2 : 3)) continue;
+    const consistent = widths.filter(w => w === width).length / widths.length;
+    if (consistent < 0.8) continue;
+    const score = consistent * width;
+    if (score > best.score) best = { delimiter, score };
+  }
+  return best.score ? best.delimiter : null;
+};
+
+const isNumeric = (v) => v.trim() !== '' && !Number.isNaN(Number(v.trim().replace(/,/g, '')));
+
+// A header row has unique, non-empty, non-numeric cells, and differs in kind from
+// the data below it (e.g. text headers above numeric columns)
+const hasHeaderRow = (records) => {
+  if (records.length < 2) return false;
+  const [first, ...rest] = records;
+  const filled = first.filter(v => v.trim() !== '');
+  if (filled.length < first.length * 0.5) return false;
+  if (filled.some(isNumeric)) return false;
+  if (new Set(filled.map(v => v.trim().toLowerCase())).size !== filled.length) return false;
+  const numericBelow = first.some((_, col) => {
+    const values = rest.slice(0, 20).map(r => r[col] ?? '').filter(v => v.trim() !== '');
+    return values.length && values.every(isNumeric);
+  });
+  if (numericBelow) return true;
+  // All-text tables: treat a first row whose cells never repeat further down as headers
+  return first.every((v, col) => !rest.slice(0, 20).some(r => (r[col] ?? '').trim() === v.trim()));
+};
+
+// True when the text parses as a table of at least 2 rows x 3 consistent columns (2 for TSV)
+const looksDelimited = (text) => detectDelimiter(text) !== null;
+
+// Parse delimited text into { headers, rows: [{ header: value }], delimiter, hasHeader }
+// or null when it is not tabular. Missing headers become Col1, Col2, ...
+const delimitedToTable = (text, options = {}) => {
+  const delimiter = options.delimiter || detectDelimiter(text);
+  if (!delimiter) return null;
+  const records = parseDelimited(text, delimiter);
+  if (records.length < 2) return null;
+  const hasHeader = options.hasHeader ?? hasHeaderRow(records);
+  // Not Math.max(...): spreading the records of a large file overflows the stack
+  const width = records.reduce((max, r) => Math.max(max, r.length), 0);
+  const headers = hasHeader
+    ? Array.from({ length: width }, (_, i) => (records[0][i] || '').trim() || `Col${i + 1}`)
+    : Array.from({ length: width }, (_, i) => `Col${i + 1}`);
+  const rows = (hasHeader ? records.slice(1) : records)
+    .map(record => {
+      const obj = {};
+      headers.forEach((h, i) => { obj[h] = (record[i] ?? '').trim(); });
+      return obj;
+    })
+    .filter(row => Object.values(row).some(v => v !== ''));
+  if (!rows.length) return null;
+  return { headers, rows, delimiter, hasHeader };
+};
+
+exports.parseDelimited = parseDelimited;
+exports.detectDelimiter = detectDelimiter;
+exports.hasHeaderRow = hasHeaderRow;
+exports.looksDelimited = looksDelimited;
+exports.delimitedToTable = delimitedToTable;
@@ -0,0 +1,27 @@
+// How each Drive file type is fetched. Google-native files have no content of
+// their own and are exported to a format the extraction pipeline reads (Sheets as
+// XLSX so every sheet keeps its rows); everything else is downloaded as is.
+const EXPORT_FORMATS = {
+  'application/vnd.google-apps.document': 'text/plain',
+  'application/vnd.google-apps.spreadsheet': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.google-apps.presentation': 'text/plain',
+  'application/vnd.google-apps.drawing': 'image/png'
+};
+
+// Other Google-native types (folders, forms, sites, shortcuts, ...) have no content to read
+const isReadable = (mimeType) =>
+  !mimeType.startsWith('application/vnd.google-apps.') || Boolean(EXPORT_FORMATS[mimeType]);
+
+// Fetch a file's content: { buffer, mimeType } where mimeType is the format actually returned.
+// file needs { id, mimeType }; drive is googleapis' drive v3 (or a stub of the same shape).
+const downloadFile = async (drive, file) => {
+  const exportMime = EXPORT_FORMATS[file.mimeType];
+  const response = exportMime
+    ? await drive.files.export({ fileId: file.id, mimeType: exportMime }, { responseType: 'arraybuffer' })
+    : await drive.files.get({ fileId: file.id, alt: 'media', supportsAllDrives: true }, { responseType: 'arraybuffer' });
+  return { buffer: Buffer.from(response.data), mimeType: exportMime || file.mimeType };
+};
+
+exports.EXPORT_FORMATS = EXPORT_FORMATS;
+exports.isReadable = isReadable;
+exports.downloadFile = downloadFile;
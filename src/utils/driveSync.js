@@ -0,0 +1,141 @@
+// Incremental Google Drive folder sync.
+// walk() lists a folder tree recursively; plan() compares every file's
+// modifiedTime with the last synced one (keyed by Drive file ID) and returns the
+// files to (re)ingest and the ones that disappeared from the tree (deleted,
+// trashed or moved out). Content can also leave the index another way (/clear, a
+// document delete), so an unchanged file is only skipped while it is still indexed
+// (files without any indexable text are therefore fetched again on every sync).
+// Folder paths map to metadata: the first folder below the root is the system, the
+// second the subsystem. Sync state is kept per root folder in drive-sync.json in
+// the data directory.
+//
+// The Drive client is passed in: googleapis' drive v3, or any object with the same
+// files.get / files.list / files.export shape.
+const { isReadable } = require('./driveFiles');
+const { JsonFile } = require('./jsonFile');
+
+const FOLDER_MIME = 'application/vnd.google-apps.folder';
+const FILE_FIELDS = 'id, name, mimeType, modifiedTime';
+
+class DriveSync {
+  constructor(options = {}) {
+    this.file = new JsonFile('drive-sync.json', options);
+    this.folders = {}; // rootFolderId -> { files: { driveId: entry }, lastRun }
+  }
+
+  load() {
+    this.folders = this.file.read({});
+  }
+
+  save() {
+    this.file.write(this.folders);
+  }
+
+  folder(rootFolderId) {
+    if (!this.folders[rootFolderId]) this.folders[rootFolderId] = { files: {}, lastRun: null };
+    return this.folders[rootFolderId];
+  }
+
+  // All syncable files below rootFolderId: [{ id, name, mimeType, modifiedTime, folderPath }].
+  // Throws if the root folder is not accessible, so a wrong ID never looks like an empty tree.
+  async walk(drive, rootFolderId) {
+    await drive.files.get({ fileId: rootFolderId, fields: 'id', supportsAllDrives: true });
+    const files = [];
+    const pending = [{ id: rootFolderId, folderPath: [] }];
+    while (pending.length) {
+      const folder = pending.shift();
+      let pageToken;
+      do {
+        const { data } = await drive.files.list({
+          q: `'${folder.id}' in parents and trashed = false`,
+          fields: `nextPageToken, files(${FILE_FIELDS})`,
+          pageSize: 1000,
+          pageToken,
+          supportsAllDrives: true,
+          includeItemsFromAllDrives: true
+        });
+        for (const file of data.files || []) {
+          if (file.mimeType === FOLDER_MIME) {
+            pending.push({ id: file.id, folderPath: [...folder.folderPath, file.name] });
+          } else if (isReadable(file.mimeType)) {
+            files.push({ ...file, folderPath: folder.folderPath });
+          }
+        }
+        pageToken = data.nextPageToken;
+      } while (pageToken);
+    }
+    return files;
+  }
+
+  // files: output of walk(); isIndexed(fileName) tells whether the index still holds a file.
+  // Returns { toSync: [item], removed: [{ driveId, fileName }], unchanged } where item is
+  // { driveId, fileName, previousFileName, system, subsystem, reason, file }.
+  plan(rootFolderId, files, { isIndexed = () => true } = {}) {
+    const known = this.folder(rootFolderId).files;
+    const seen = new Set();
+    const toSync = [];
+    let unchanged = 0;
+    for (const file of files) {
+      seen.add(file.id);
+      // The folder path keeps same-named files in different folders apart
+      const fileName = [...file.folderPath, file.name].join('/');
+      const previous = known[file.id];
+      const item = {
+        driveId: file.id,
+        fileName,
+        previousFileName: previous && previous.fileName !== fileName ? previous.fileName : null,
+        system: file.folderPath[0] || '',
+        subsystem: file.folderPath[1] || '',
+        file
+      };
+      if (!previous) {
+        toSync.push({ ...item, reason: 'new' });
+      } else if (previous.modifiedTime !== file.modifiedTime) {
+        toSync.push({ ...item, reason: 'changed' });
+      } else if (item.previousFileName) {
+        toSync.push({ ...item, reason: 'moved' });
+      } else if (!isIndexed(fileName)) {
+        toSync.push({ ...item, reason: 'missing' });
+      } else {
+        unchanged++;
+      }
+    }
+    const removed = Object.entries(known)
+      .filter(([driveId]) => !seen.has(driveId))
+      .map(([driveId, entry]) => ({ driveId, fileName: entry.fileName }));
+    return { toSync, removed, unchanged };
+  }
+
+  markSynced(rootFolderId, item) {
+    this.folder(rootFolderId).files[item.driveId] = {
+      fileName: item.fileName,
+      modifiedTime: item.file.modifiedTime,
+      mimeType: item.file.mimeType,
+      system: item.system,
+      subsystem: item.subsystem,
+      syncedAt: new Date().toISOString()
+    };
+    this.save();
+  }
+
+  markRemoved(rootFolderId, driveId) {
+    delete this.folder(rootFolderId).files[driveId];
+    this.save();
+  }
+
+  setLastRun(rootFolderId, lastRun) {
+    this.folder(rootFolderId).lastRun = lastRun;
+    this.save();
+  }
+
+  getStatus(rootFolderId) {
+    const folder = this.folders[rootFolderId];
+    return {
+      folderId: rootFolderId,
+      trackedFiles: folder ? Object.keys(folder.files).length : 0,
+      lastRun: folder ? folder.lastRun : null
+    };
+  }
+}
+
+exports.DriveSync = DriveSync;
@@ -0,0 +1,79 @@
+// Embedding providers for VertexDB.
+// A provider is { id, dimension, embed(text, taskType), embedBatch(texts, taskType) }.
+// embed throws when it cannot produce a vector; embedBatch returns a vector or an
+// Error per text. Vectors are only comparable within the same provider id, so
+// VertexDB records the id on every document and never mixes them in search.
+// Gemini embeddings count against the caller's daily embedding quota; the API
+// reports no token counts for them, so tokens are estimated from the text.
+const { geminiClient } = require('./geminiClient');
+const { tokenize } = require('./keywordIndex');
+const { recordUsage, estimateTokens } = require('./usage');
+
+const GEMINI_EMBED_MODEL = 'text-embedding-004';
+
+const createGeminiProvider = ({ model = GEMINI_EMBED_MODEL, client = geminiClient } = {}) => ({
+  id: `gemini:${model}`,
+  dimension: 768,
+  embed: async (text, taskType = 'RETRIEVAL_DOCUMENT') => {
+    const values = await client.embed(text, { model, taskType });
+    recordUsage('embedding', { totalTokenCount: estimateTokens(text) });
+    return values;
+  },
+  embedBatch: async (texts, taskType = 'RETRIEVAL_DOCUMENT') => {
+    const results = await client.batchEmbed(texts, { model, taskType });
+    const embedded = texts.filter((_, i) => !(results[i] instanceof Error));
+    if (embedded.length) {
+      recordUsage('embedding', { totalTokenCount: embedded.reduce((sum, text) => sum + estimateTokens(text), 0) });
+    }
+    return results;
+  }
+});
+
+// 32-bit FNV-1a
+const hash = (str) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+};
+
+// Hashed bag of word tokens and character trigrams, log-scaled and L2-normalised.
+// Needs no network and always gives the same vector for the same text.
+const hashedNgramVector = (text, dimension) => {
+  const counts = new Map();
+  const bump = (feature) => counts.set(feature, (counts.get(feature) || 0) + 1);
+  for (const token of tokenize(text)) {
+    bump(`w:${token}`);
+    const padded = `#${token}#`;
+    for (let i = 0; i + 3 <= padded.length; i++) bump(`c:${padded.slice(i, i + 3)}`);
+  }
+  const vector = new Array(dimension).fill(0);
+  for (const [feature, tf] of counts) {
+    const h = hash(feature);
+    // Top bit picks the sign so colliding features tend to cancel rather than pile up
+    vector[h % dimension] += (h & 0x80000000 ? -1 : 1) * (1 + Math.log(tf));
+  }
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return norm ? vector.map(v => v / norm) : vector;
+};
+
+const createLocalProvider = ({ dimension = 512 } = {}) => ({
+  id: `local:hashed-ngram-${dimension}`,
+  dimension,
+  embed: async (text) => hashedNgramVector(text, dimension),
+  embedBatch: async (texts) => texts.map(text => hashedNgramVector(text, dimension))
+});
+
+// EMBEDDING_PROVIDER=gemini|local; defaults to gemini when an API key is configured
+const createEmbeddingProvider = (name = process.env.EMBEDDING_PROVIDER) => {
+  const choice = name || (process.env.GEMINI_API_KEY ? 'gemini' : 'local');
+  if (choice === 'gemini') return createGeminiProvider();
+  if (choice === 'local') return createLocalProvider();
+  throw new Error(`Unknown EMBEDDING_PROVIDER: ${choice}`);
+};
+
+exports.createGeminiProvider = createGeminiProvider;
+exports.createLocalProvider = createLocalProvider;
+exports.createEmbeddingProvider = createEmbeddingProvider;
@@ -0,0 +1,211 @@
+// Retrieval evaluation runs. A dataset is a list of questions with the sources that
+// should answer them:
+//   [{ question, expected: ["file.pdf", { fileName: "file.pdf", position: 3 }] }]
+// (a string matches any chunk of that file, an object with position one chunk).
+// Every question is retrieved like /ask does and scored for recall@k and reciprocal
+// rank; unless disabled, the /ask answer is also generated and an LLM judge checks
+// each of its claims against the retrieved snippets (faithfulness = supported / all).
+//
+// Runs keep the configuration they were made with (k, mode, model, chunk size,
+// embedding provider, prompt fingerprint) so they can be compared over time, and
+// are written to evaluations.json in the data directory as they progress.
+const crypto = require('crypto');
+const { llmClient } = require('./llmClient');
+const { JsonFile } = require('./jsonFile');
+
+const MAX_QUESTIONS = 500;
+const MAX_RUNS = 200; // oldest runs are dropped beyond this
+
+const JUDGE_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    claims: {
+      type: 'ARRAY',
+      items: {
+        type: 'OBJECT',
+        properties: { claim: { type: 'STRING' }, supported: { type: 'BOOLEAN' } },
+        required: ['claim', 'supported']
+      }
+    }
+  },
+  required: ['claims']
+};
+
+const round = (value) => (value === null ? null : Math.round(value * 10000) / 10000);
+
+const mean = (values) => {
+  const present = values.filter(v => v !== null && v !== undefined);
+  return present.length ? present.reduce((sum, v) => sum + v, 0) / present.length : null;
+};
+
+// Returns the dataset as [{ question, expected: [{ fileName, position }] }] (position
+// null for whole-file matches); throws with a message fit for a 400 response
+const normaliseDataset = (dataset) => {
+  if (!Array.isArray(dataset) || !dataset.length) throw new Error('dataset must be a non-empty array');
+  if (dataset.length > MAX_QUESTIONS) throw new Error(`dataset is limited to ${MAX_QUESTIONS} questions`);
+  return dataset.map((item, i) => {
+    const question = String(item?.question || '').trim();
+    if (!question) throw new Error(`dataset[${i}].question is required`);
+    const expected = (Array.isArray(item.expected) ? item.expected : []).map(source => (
+      typeof source === 'string'
+        ? { fileName: source, position: null }
+        : { fileName: String(source?.fileName || ''), position: Number.isInteger(source?.position) ? source.position : null }
+    )).filter(source => source.fileName);
+    if (!expected.length) throw new Error(`dataset[${i}].expected needs at least one file name or { fileName, position }`);
+    return { question, expected };
+  });
+};
+
+const matches = (hit, source) =>
+  hit.fileName === source.fileName && (source.position === null || hit.position === source.position);
+
+// hits: ranked [{ fileName, position }]. recall = share of expected sources found in
+// the top k; reciprocalRank = 1 / rank of the first hit matching any of them (0 if none)
+const scoreRetrieval = (hits, expected, k) => {
+  const top = hits.slice(0, k);
+  const found = expected.filter(source => top.some(hit => matches(hit, source))).length;
+  const rank = top.findIndex(hit => expected.some(source => matches(hit, source)));
+  return {
+    recall: found / expected.length,
+    reciprocalRank: rank === -1 ? 0 : 1 / (rank + 1),
+    firstRelevantRank: rank === -1 ? null : rank + 1
+  };
+};
+
+// The factual parts of a structured /ask answer, as text for the judge
+const answerText = (answer) => [
+  answer.technicalSummary,
+  answer.wireDetails?.length ? `Wire details: ${JSON.stringify(answer.wireDetails)}` : '',
+  answer.components?.length ? `Components: ${JSON.stringify(answer.components)}` : ''
+].filter(Boolean).join('\n');
+
+// Share of the answer's claims that the snippets support; an answer without claims
+// (e.g. "the documents don't say") counts as faithful
+const judgeFaithfulness = async (answer, snippets, { modelId } = {}) => {
+  const prompt = `
+You check answers for faithfulness to their sources.
+Split the answer into its individual factual claims (ignore citation markers like [1]).
+For each claim decide whether the snippets state or directly imply it.
+Snippets:
+${snippets.map((text, i) => `[${i + 1}] ${text}`).join('\n---\n')}
+Answer:
+${answerText(answer)}
+`;
+  const { text } = await llmClient.generate(prompt, {
+    modelId,
+    generationConfig: { temperature: 0, responseMimeType: 'application/json', responseSchema: JUDGE_SCHEMA }
+  });
+  const claims = (JSON.parse(text).claims || []).filter(c => c && typeof c.supported === 'boolean');
+  return {
+    faithfulness: claims.length ? claims.filter(c => c.supported).length / claims.length : 1,
+    unsupportedClaims: claims.filter(c => !c.supported).map(c => String(c.claim))
+  };
+};
+
+const summarize = ({ results, ...run }) => run;
+
+class EvaluationStore {
+  constructor(options = {}) {
+    this.file = new JsonFile('evaluations.json', options);
+    this.runs = new Map();
+  }
+
+  // Runs cut short by a restart cannot resume
+  load() {
+    this.runs = new Map(this.file.read([]).map(run => [run.id, run]));
+    for (const run of this.runs.values()) {
+      if (run.status === 'queued' || run.status === 'running') {
+        run.status = 'failed';
+        run.error = 'Interrupted by a server restart';
+      }
+    }
+  }
+
+  save() {
+    this.file.write(Array.from(this.runs.values()));
+  }
+
+  // config: what the run measures (k, mode, modelId, ...) and the index it ran against
+  create({ label = '', config, items }) {
+    const run = {
+      id: `eval-${crypto.randomUUID()}`,
+      label,
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      completedAt: null,
+      config,
+      progress: { done: 0, total: items.length },
+      metrics: null,
+      results: [],
+      error: null
+    };
+    this.runs.set(run.id, run);
+    const finished = Array.from(this.runs.values()).filter(r => r.status === 'completed' || r.status === 'failed');
+    for (const old of finished.slice(0, Math.max(0, this.runs.size - MAX_RUNS))) this.runs.delete(old.id);
+    this.save();
+    return run;
+  }
+
+  get(id) {
+    return this.runs.get(id);
+  }
+
+  // Newest first, without per-question results
+  list() {
+    return Array.from(this.runs.values())
+      .map(summarize)
+      .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+  }
+
+  // retrieve(question) resolves to { hits: [{ fileName, position, score }], answer, snippets }
+  // where answer (the /ask result) is null when faithfulness is not measured
+  async run(run, items, retrieve) {
+    run.status = 'running';
+    run.startedAt = new Date().toISOString();
+    this.save();
+    try {
+      for (const item of items) {
+        const result = { question: item.question, expected: item.expected };
+        try {
+          const { hits, answer, snippets } = await retrieve(item.question);
+          Object.assign(result, scoreRetrieval(hits, item.expected, run.config.k), {
+            retrieved: hits.map(({ fileName, position, score }) => ({ fileName, position, score }))
+          });
+          if (answer) {
+            result.answer = answer.technicalSummary;
+            Object.assign(result, snippets.length
+              ? await judgeFaithfulness(answer, snippets, { modelId: run.config.judgeModelId })
+              : { faithfulness: null, unsupportedClaims: [] });
+          }
+        } catch (error) {
+          result.error = error.message;
+        }
+        run.results.push(result);
+        run.progress.done++;
+        this.save();
+      }
+      const scored = run.results.filter(r => !r.error);
+      run.metrics = {
+        questions: run.results.length,
+        failed: run.results.length - scored.length,
+        recallAtK: round(mean(scored.map(r => r.recall))),
+        mrr: round(mean(scored.map(r => r.reciprocalRank))),
+        faithfulness: round(mean(scored.map(r => r.faithfulness))),
+        judged: scored.filter(r => r.faithfulness !== null && r.faithfulness !== undefined).length
+      };
+      run.status = 'completed';
+    } catch (error) {
+      run.status = 'failed';
+      run.error = error.message;
+    }
+    run.completedAt = new Date().toISOString();
+    this.save();
+    return run;
+  }
+}
+
+exports.EvaluationStore = EvaluationStore;
+exports.normaliseDataset = normaliseDataset;
+exports.scoreRetrieval = scoreRetrieval;
+exports.judgeFaithfulness = judgeFaithfulness;
@@ -0,0 +1,177 @@
+// Text and table extraction shared by uploads, Drive sync and Drive file reads,
+// so a file yields the same text and table rows whichever way it arrives.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const Tesseract = require('tesseract.js');
+const mammoth = require('mammoth');
+const xlsx = require('xlsx');
+const { delimitedToTable } = require('./delimited');
+const { extractPdfPages } = require('./ocr');
+
+const XLSX_MIME_TYPES = [
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-excel'
+];
+
+function readTextSafe(filePath) {
+  try { return fs.readFileSync(filePath, 'utf8'); } catch { return ''; }
+}
+
+function toCSVTable(rows) {
+  if (!rows || !rows.length) return '';
+  return rows.map(r => r.map(v => String(v ?? '').replace(/\r?\n/g, ' ').trim()).join(',')).join('\n');
+}
+
+// Extract XLSX into structured tables: [{sheetName, headers, rows:[{col:val}]}]
+function xlsxToTables(filePath) {
+  const workbook = xlsx.readFile(filePath);
+  const tables = [];
+  workbook.SheetNames.forEach(sheetName => {
+    const sheet = workbook.Sheets[sheetName];
+    const aoa = xlsx.utils.sheet_to_json(sheet, { header: 1, raw: true });
+    if (!aoa || !aoa.length) return;
+    const headers = (aoa[0] || []).map(h => String(h ?? '').trim());
+    const rows = [];
+    for (let r = 1; r < aoa.length; r++) {
+      const rowAoA = aoa[r] || [];
+      const obj = {};
+      headers.forEach((h, i) => {
+        obj[h || `Col${i+1}`] = rowAoA[i] ?? '';
+      });
+      // skip entirely empty rows
+      const anyVal = Object.values(obj).some(v => String(v).trim() !== '');
+      if (anyVal) rows.push(obj);
+    }
+    if (rows.length) tables.push({ sheetName, headers, rows });
+  });
+  return tables;
+}
+
+// Convert CSV/TSV/plain text that looks delimited into table structure (RFC 4180 quoting,
+// delimiter and header-row detection). Headers without a name become Col1, Col2, ...
+// `fallbackDelimiter` is used when detection finds nothing (e.g. a two-column CSV).
+function csvToTable(text, fallbackDelimiter = null) {
+  const parsed = delimitedToTable(text) ||
+    (fallbackDelimiter ? delimitedToTable(text, { delimiter: fallbackDelimiter }) : null);
+  if (!parsed) return null;
+  return { headers: parsed.headers, rows: parsed.rows };
+}
+
+function isDelimitedUpload(mimetype, fileName) {
+  return mimetype === 'text/csv' ||
+    mimetype === 'text/tab-separated-values' ||
+    /\.(csv|tsv)$/i.test(fileName || '');
+}
+
+function defaultDelimiter(mimetype, fileName) {
+  if (mimetype === 'text/tab-separated-values' || /\.tsv$/i.test(fileName || '')) return '\t';
+  if (mimetype === 'text/csv' || /\.csv$/i.test(fileName || '')) return ',';
+  return null;
+}
+
+// Returns { text, pages }; pages is [{ page, text, ocr, ocrConfidence? }] for PDFs, otherwise null.
+// Scanned PDF pages are rasterised and OCR'd one by one.
+async function extractDocument(filePath, mimetype) {
+  if (mimetype === 'application/pdf') {
+    try {
+      const pages = await extractPdfPages(fs.readFileSync(filePath));
+      return { text: pages.map(p => p.text).join('\n\n'), pages: pages.length ? pages : null };
+    } catch (err) {
+      console.error('❌ extractText error:', err);
+      return { text: '', pages: null };
+    }
+  }
+  return { text: await extractText(filePath, mimetype), pages: null };
+}
+
+async function extractText(filePath, mimetype) {
+  try {
+    // PDF
+    if (mimetype === 'application/pdf') {
+      return (await extractDocument(filePath, mimetype)).text;
+    }
+    // Images (png/jpg/jpeg/webp/tiff/bmp)
+    if (/^image\//i.test(mimetype)) {
+      const ocr = await Tesseract.recognize(filePath, 'eng');
+      return ocr.data.text || '';
+    }
+    // DOCX
+    if (mimetype === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
+      const result = await mammoth.extractRawText({ path: filePath });
+      return result.value || '';
+    }
+    // XLSX / XLS  (kept as before – returns joined CSV-like text)
+    if (XLSX_MIME_TYPES.includes(mimetype)) {
+      const workbook = xlsx.readFile(filePath);
+      let out = [];
+      workbook.SheetNames.forEach(sheetName => {
+        const sheet = xlsx.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, raw: true });
+        // Keep only non-empty rows
+        const filtered = sheet.filter(row => row && row.some(c => c !== null && c !== undefined && String(c).trim() !== ''));
+        if (filtered.length) {
+          out.push(`Sheet: ${sheetName}\n${toCSVTable(filtered)}`);
+        }
+      });
+      return out.join('\n');
+    }
+    // CSV / plain text
+    if (mimetype === 'text/csv' || mimetype === 'text/tab-separated-values' || mimetype === 'text/plain') {
+      return readTextSafe(filePath);
+    }
+    // JSON/XML/HTML: return as string (best effort)
+    if (/json|xml|html/.test(mimetype)) {
+      return readTextSafe(filePath);
+    }
+    return '';
+  } catch (err) {
+    console.error('❌ extractText error:', err);
+    return '';
+  }
+}
+
+// Structured tables of a spreadsheet or CSV/TSV file: [{ sheetName, headers, rows }]
+function extractTables(filePath, mimetype, fileName) {
+  if (XLSX_MIME_TYPES.includes(mimetype)) return xlsxToTables(filePath);
+  if (isDelimitedUpload(mimetype, fileName)) {
+    const parsed = csvToTable(readTextSafe(filePath), defaultDelimiter(mimetype, fileName));
+    if (parsed) return [{ sheetName: '', headers: parsed.headers, rows: parsed.rows }];
+  }
+  return [];
+}
+
+// Everything the index needs from one file: { text, pages, tables }
+async function extractFile(filePath, mimetype, fileName) {
+  let tables = [];
+  try {
+    tables = extractTables(filePath, mimetype, fileName);
+  } catch (e) {
+    console.warn('Table extraction warning:', e.message);
+  }
+  const { text, pages } = await extractDocument(filePath, mimetype);
+  return { text, pages, tables };
+}
+
+// extractFile for content held in memory (e.g. downloaded from Drive); the parsers
+// read from disk, so it goes through a temporary file
+async function extractBuffer(buffer, mimetype, fileName) {
+  const tmpPath = path.join(os.tmpdir(), `kmrc-extract-${crypto.randomUUID()}`);
+  fs.writeFileSync(tmpPath, buffer);
+  try {
+    return await extractFile(tmpPath, mimetype, fileName);
+  } finally {
+    fs.unlink(tmpPath, () => {});
+  }
+}
+
+exports.readTextSafe = readTextSafe;
+exports.xlsxToTables = xlsxToTables;
+exports.csvToTable = csvToTable;
+exports.isDelimitedUpload = isDelimitedUpload;
+exports.defaultDelimiter = defaultDelimiter;
+exports.extractDocument = extractDocument;
+exports.extractText = extractText;
+exports.extractTables = extractTables;
+exports.extractFile = extractFile;
+exports.extractBuffer = extractBuffer;
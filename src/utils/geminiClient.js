@@ -0,0 +1,184 @@
+// Shared Gemini API client: per-minute request budget, exponential backoff on
+// 429/5xx and network errors, and batched embeddings with bounded concurrency.
+const fetch = require('node-fetch');
+
+const BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+const MAX_EMBED_TEXT = 6000; // safety limit per embedded text
+const MAX_BATCH_SIZE = 100; // batchEmbedContents accepts at most 100 requests
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Sliding one-minute window; acquire() waits until a request slot is free
+class RequestBudget {
+  constructor(perMinute) {
+    this.perMinute = perMinute;
+    this.sent = [];
+  }
+
+  async acquire() {
+    for (;;) {
+      const now = Date.now();
+      while (this.sent.length && now - this.sent[0] >= 60000) this.sent.shift();
+      if (this.sent.length < this.perMinute) {
+        this.sent.push(now);
+        return;
+      }
+      await sleep(60000 - (now - this.sent[0]));
+    }
+  }
+}
+
+// Run fn over items with at most `concurrency` calls in flight; results keep input order
+const mapWithConcurrency = async (items, concurrency, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
+};
+
+const isRetryable = (status) => status === 429 || status >= 500;
+
+class GeminiClient {
+  constructor(options = {}) {
+    this.maxRetries = options.maxRetries ?? parseInt(process.env.GEMINI_MAX_RETRIES || '5', 10);
+    this.baseDelayMs = options.baseDelayMs ?? 500;
+    this.maxDelayMs = options.maxDelayMs ?? 30000;
+    this.concurrency = options.concurrency ?? parseInt(process.env.GEMINI_EMBED_CONCURRENCY || '4', 10);
+    this.budget = new RequestBudget(
+      options.requestsPerMinute ?? parseInt(process.env.GEMINI_REQUESTS_PER_MINUTE || '1000', 10)
+    );
+  }
+
+  backoff(attempt, retryAfter) {
+    const seconds = parseFloat(retryAfter);
+    if (!Number.isNaN(seconds)) return Math.min(seconds * 1000, this.maxDelayMs);
+    const delay = this.baseDelayMs * 2 ** attempt;
+    return Math.min(delay + Math.random() * delay * 0.25, this.maxDelayMs);
+  }
+
+  // POST to `${BASE_URL}/models/${model}:${method}`, retrying until a 2xx response
+  // arrives; resolves to the unread response. options.params adds query parameters.
+  async send(model, method, body, { params = {}, signal } = {}) {
+    if (!process.env.GEMINI_API_KEY) {
+      throw new Error('GEMINI_API_KEY missing in environment.');
+    }
+    const query = new URLSearchParams({ ...params, key: process.env.GEMINI_API_KEY });
+    const url = `${BASE_URL}/models/${model}:${method}?${query}`;
+    for (let attempt = 0; ; attempt++) {
+      await this.budget.acquire();
+      let res;
+      try {
+        res = await fetch(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body),
+          signal
+        });
+      } catch (error) {
+        if (error.name === 'AbortError' || attempt >= this.maxRetries) throw error;
+        await sleep(this.backoff(attempt));
+        continue;
+      }
+      if (res.ok) return res;
+      const raw = await res.text();
+      if (!isRetryable(res.status) || attempt >= this.maxRetries) {
+        const error = new Error(`Gemini ${method} error ${res.status}: ${raw}`);
+        error.status = res.status;
+        throw error;
+      }
+      await sleep(this.backoff(attempt, res.headers.get('retry-after')));
+    }
+  }
+
+  // Like send(), but resolves to the parsed JSON body
+  async request(model, method, body, options) {
+    const res = await this.send(model, method, body, options);
+    return JSON.parse(await res.text());
+  }
+
+  // streamGenerateContent over SSE: calls onText(delta) for every text part as it
+  // arrives and resolves to { text, usage } (the full text and the last usageMetadata).
+  // Retries only happen before the stream opens.
+  async streamGenerate(model, body, onText, { signal } = {}) {
+    const res = await this.send(model, 'streamGenerateContent', body, { params: { alt: 'sse' }, signal });
+    let buffer = '';
+    let text = '';
+    let usage = null;
+    const handleEvent = (event) => {
+      const data = event.split(/\r?\n/)
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trim())
+        .join('');
+      if (!data) return;
+      const parsed = JSON.parse(data);
+      if (parsed.usageMetadata) usage = parsed.usageMetadata;
+      const parts = parsed.candidates?.[0]?.content?.parts || [];
+      for (const part of parts) {
+        if (!part.text) continue;
+        text += part.text;
+        onText(part.text);
+      }
+    };
+    // One decoder for the whole stream: a character split across network chunks is
+    // held back until its remaining bytes arrive
+    const decoder = new TextDecoder('utf-8');
+    for await (const chunk of res.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      const events = buffer.split(/\r?\n\r?\n/);
+      buffer = events.pop();
+      events.forEach(handleEvent);
+    }
+    buffer += decoder.decode();
+    if (buffer.trim()) handleEvent(buffer);
+    return { text, usage };
+  }
+
+  async embed(text, { model = 'text-embedding-004', taskType = 'RETRIEVAL_DOCUMENT' } = {}) {
+    const data = await this.request(model, 'embedContent', {
+      content: { parts: [{ text: String(text).slice(0, MAX_EMBED_TEXT) }] },
+      taskType
+    });
+    const values = data.embedding?.values;
+    if (!values || !values.length) throw new Error('Gemini embed returned no values');
+    return values;
+  }
+
+  // Returns one entry per text: the vector, or the Error that failed its batch
+  async batchEmbed(texts, { model = 'text-embedding-004', taskType = 'RETRIEVAL_DOCUMENT' } = {}) {
+    const batches = [];
+    for (let i = 0; i < texts.length; i += MAX_BATCH_SIZE) {
+      batches.push(texts.slice(i, i + MAX_BATCH_SIZE));
+    }
+    const results = await mapWithConcurrency(batches, this.concurrency, async (batch) => {
+      try {
+        const data = await this.request(model, 'batchEmbedContents', {
+          requests: batch.map(text => ({
+            model: `models/${model}`,
+            content: { parts: [{ text: String(text).slice(0, MAX_EMBED_TEXT) }] },
+            taskType
+          }))
+        });
+        return batch.map((_, i) => {
+          const values = data.embeddings?.[i]?.values;
+          return values && values.length ? values : new Error('Gemini embed returned no values');
+        });
+      } catch (error) {
+        return batch.map(() => error);
+      }
+    });
+    return results.flat();
+  }
+}
+
+// One client per process so every caller draws from the same request budget
+const geminiClient = new GeminiClient();
+
+exports.GeminiClient = GeminiClient;
+exports.geminiClient = geminiClient;
+exports.mapWithConcurrency = mapWithConcurrency;
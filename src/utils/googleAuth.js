@@ -0,0 +1,55 @@
+// Google OAuth2 clients bound to the caller's session.
+// google-auth-library refreshes an expired access token with the refresh token on
+// its own; the 'tokens' event writes the new tokens back into the session.
+const { OAuth2Client } = require('google-auth-library');
+
+const SCOPES = [
+  'https://www.googleapis.com/auth/drive.readonly',
+  'https://www.googleapis.com/auth/drive.file'
+];
+
+const createOAuthClient = () => new OAuth2Client(
+  process.env.GOOGLE_CLIENT_ID,
+  process.env.GOOGLE_CLIENT_SECRET,
+  process.env.GOOGLE_REDIRECT_URI
+);
+
+const getSessionClient = (req) => {
+  const client = createOAuthClient();
+  client.setCredentials(req.session.tokens);
+  client.on('tokens', (tokens) => {
+    // Google only sends a refresh_token on first consent, so keep the stored one
+    req.session.tokens = { ...req.session.tokens, ...tokens };
+    // express-session only saves when the response ends, but background work (Drive
+    // sync jobs) refreshes tokens later: merge them into the stored session directly,
+    // unless the user signed out of Google or ended the session in the meantime
+    req.sessionStore.get(req.sessionID, (error, stored) => {
+      if (error || !stored || !stored.tokens) return;
+      stored.tokens = { ...stored.tokens, ...tokens };
+      req.sessionStore.set(req.sessionID, stored, (saveError) => {
+        if (saveError) console.warn(`Could not save refreshed Google tokens: ${saveError.message}`);
+      });
+    });
+  });
+  return client;
+};
+
+// Revoked or expired grants surface as invalid_grant or a 401 from Google
+const isAuthError = (error) =>
+  error?.response?.status === 401 ||
+  error?.response?.data?.error === 'invalid_grant' ||
+  /invalid_grant|No refresh token/i.test(error?.message || '');
+
+// Route guard for endpoints that call Google on the user's behalf
+const requireGoogleAuth = (req, res, next) => {
+  if (!req.session?.tokens) {
+    return res.status(401).json({ error: 'Not authenticated with Google' });
+  }
+  next();
+};
+
+exports.SCOPES = SCOPES;
+exports.createOAuthClient = createOAuthClient;
+exports.getSessionClient = getSessionClient;
+exports.isAuthError = isAuthError;
+exports.requireGoogleAuth = requireGoogleAuth;
@@ -0,0 +1,260 @@
+// Durable storage for VertexDB: a snapshot plus append-only op logs.
+// Every mutation is appended to the current log; on startup the snapshot is loaded
+// and the logs are replayed on top. Once the log grows past COMPACT_AFTER entries the
+// documents are written out as a fresh snapshot in the background:
+//   vertexdb.docs.<generation>.jsonl     one document per line, without its vector
+//   vertexdb.vectors.<generation>.f32    every vector as float32, in document order
+//   vertexdb.manifest.json               the current generation and the first log after it
+// Compaction switches appends to a new log (vertexdb.log.<n>.jsonl) and writes the
+// documents as they were at that moment, so ingests carry on meanwhile. The manifest
+// only moves to the new generation once its files are complete, so a crash at any
+// point leaves the previous snapshot and every log it needs. No step builds the whole
+// index as one string, which V8 caps at about 512 MB.
+const fs = require('fs');
+const path = require('path');
+const { StringDecoder } = require('string_decoder');
+const { JsonFile } = require('./jsonFile');
+
+const COMPACT_AFTER = parseInt(process.env.VERTEXDB_COMPACT_AFTER || '500', 10);
+const READ_CHUNK_BYTES = 1 << 20;
+const WRITE_BATCH_BYTES = 1 << 20;
+
+const LOG_FILE = /^vertexdb\.log\.(\d+)\.jsonl$/;
+const SNAPSHOT_FILE = /^vertexdb\.(docs|vectors)\.(\d+)\.(jsonl|f32)$/;
+// Single-file format written before vectors were split out; read once, then replaced
+const LEGACY_SNAPSHOT = 'vertexdb.snapshot.json';
+const LEGACY_LOG = 'vertexdb.log.jsonl';
+
+// Calls onLine for every line of a file, reading it in chunks
+const forEachLine = (filePath, onLine) => {
+  const fd = fs.openSync(filePath, 'r');
+  const decoder = new StringDecoder('utf8');
+  const buffer = Buffer.alloc(READ_CHUNK_BYTES);
+  let rest = '';
+  try {
+    let bytes;
+    while ((bytes = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+      const lines = (rest + decoder.write(buffer.subarray(0, bytes))).split('\n');
+      rest = lines.pop();
+      lines.forEach(onLine);
+    }
+    rest += decoder.end();
+    if (rest) onLine(rest);
+  } finally {
+    fs.closeSync(fd);
+  }
+};
+
+// A new file written in batches; every flush hands the event loop back
+const openBatchedFile = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'w');
+  let parts = [];
+  let size = 0;
+  const flush = async () => {
+    if (!parts.length) return;
+    const data = Buffer.concat(parts);
+    parts = [];
+    size = 0;
+    await handle.writeFile(data); // writes all of data at the current position
+  };
+  return {
+    async write(chunk) {
+      parts.push(chunk);
+      size += chunk.length;
+      if (size >= WRITE_BATCH_BYTES) await flush();
+    },
+    async close() {
+      try {
+        await flush();
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+    }
+  };
+};
+
+class IndexStore {
+  constructor(options = {}) {
+    this.manifest = new JsonFile('vertexdb.manifest.json', options);
+    this.dir = this.manifest.dir;
+    this.compactAfter = options.compactAfter || COMPACT_AFTER;
+    this.generation = 0;
+    this.logNumber = 0; // the log appends go to
+    this.logEntries = 0; // entries appended since the current snapshot was started
+    this.legacy = false; // loaded from the single-file format
+    this.compacting = null; // promise of the compaction in progress
+    this.lastCompactedAt = null;
+  }
+
+  filePath(name) {
+    return path.join(this.dir, name);
+  }
+
+  logPath(n = this.logNumber) {
+    return this.filePath(`vertexdb.log.${n}.jsonl`);
+  }
+
+  docsPath(generation) {
+    return this.filePath(`vertexdb.docs.${generation}.jsonl`);
+  }
+
+  vectorsPath(generation) {
+    return this.filePath(`vertexdb.vectors.${generation}.f32`);
+  }
+
+  // Numbers of the logs on disk, oldest first
+  logNumbers() {
+    return fs.readdirSync(this.dir)
+      .map(name => name.match(LOG_FILE))
+      .filter(Boolean)
+      .map(m => parseInt(m[1], 10))
+      .sort((a, b) => a - b);
+  }
+
+  // Returns { documents, nextId } rebuilt from snapshot + logs.
+  load() {
+    let documents = [];
+    let nextId = 1;
+    let firstLog = 0;
+    const logFiles = [];
+
+    const manifest = this.manifest.read(null);
+    if (manifest) {
+      documents = this.readSnapshot(manifest.generation);
+      nextId = manifest.nextId;
+      firstLog = manifest.nextLog;
+      this.generation = manifest.generation;
+      this.lastCompactedAt = manifest.compactedAt;
+    } else {
+      const legacy = new JsonFile(LEGACY_SNAPSHOT, { dir: this.dir }).read(null);
+      if (legacy) {
+        documents = legacy.documents || [];
+        nextId = legacy.nextId || documents.length + 1;
+        this.lastCompactedAt = legacy.compactedAt || null;
+      }
+      if (fs.existsSync(this.filePath(LEGACY_LOG))) logFiles.push(this.filePath(LEGACY_LOG));
+      this.legacy = Boolean(legacy) || logFiles.length > 0;
+    }
+
+    const logs = this.logNumbers().filter(n => n >= firstLog);
+    logFiles.push(...logs.map(n => this.logPath(n)));
+    this.logNumber = logs.length ? logs[logs.length - 1] : firstLog;
+    this.logEntries = 0;
+    for (const logFile of logFiles) {
+      forEachLine(logFile, (line) => {
+        if (!line.trim()) return;
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (e) {
+          // A crash mid-append leaves a truncated last line; everything before it is intact.
+          console.warn('IndexStore: skipping unreadable log line');
+          return;
+        }
+        this.logEntries++;
+        if (entry.op === 'add') {
+          documents.push(entry.doc);
+          nextId = Math.max(nextId, entry.doc.id + 1);
+        } else if (entry.op === 'delete') {
+          const ids = new Set(entry.ids);
+          documents = documents.filter(doc => !ids.has(doc.id));
+        } else if (entry.op === 'clear') {
+          documents = [];
+        }
+      });
+    }
+
+    return { documents, nextId };
+  }
+
+  readSnapshot(generation) {
+    // Copied into its own ArrayBuffer so the float32 view is aligned
+    const bytes = fs.readFileSync(this.vectorsPath(generation));
+    const vectors = new Float32Array(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length));
+    const documents = [];
+    let offset = 0;
+    forEachLine(this.docsPath(generation), (line) => {
+      if (!line) return;
+      const doc = JSON.parse(line);
+      doc.embedding = Array.from(vectors.subarray(offset, offset + doc.embeddingDim));
+      offset += doc.embeddingDim;
+      documents.push(doc);
+    });
+    return documents;
+  }
+
+  append(entry) {
+    fs.appendFileSync(this.logPath(), JSON.stringify(entry) + '\n');
+    this.logEntries++;
+  }
+
+  shouldCompact() {
+    return !this.compacting && this.logEntries >= this.compactAfter;
+  }
+
+  // True when the logs (or the legacy format) should be folded into a snapshot
+  needsCompaction() {
+    return this.logEntries > 0 || this.legacy;
+  }
+
+  // Write the live documents to a new snapshot in the background and drop the logs
+  // it covers. Resolves once the snapshot is in place; while one is being written,
+  // further calls return the same promise.
+  compact(documents, nextId) {
+    if (this.compacting) return this.compacting;
+    const generation = this.generation + 1;
+    const nextLog = this.logNumber + 1;
+    // Later writes go to a fresh log, which the new snapshot does not cover
+    this.logNumber = nextLog;
+    this.logEntries = 0;
+    this.compacting = this.writeSnapshot(documents.slice(), nextId, generation, nextLog)
+      .finally(() => { this.compacting = null; });
+    return this.compacting;
+  }
+
+  async writeSnapshot(documents, nextId, generation, nextLog) {
+    const docsFile = await openBatchedFile(this.docsPath(generation));
+    const vectorsFile = await openBatchedFile(this.vectorsPath(generation));
+    try {
+      for (const { embedding = [], ...doc } of documents) {
+        await docsFile.write(Buffer.from(JSON.stringify({ ...doc, embeddingDim: embedding.length }) + '\n'));
+        await vectorsFile.write(Buffer.from(Float32Array.from(embedding).buffer));
+      }
+    } finally {
+      await docsFile.close();
+      await vectorsFile.close();
+    }
+    const compactedAt = new Date().toISOString();
+    this.manifest.write({ format: 2, generation, nextLog, nextId, compactedAt, documents: documents.length });
+    this.generation = generation;
+    this.lastCompactedAt = compactedAt;
+    this.legacy = false;
+    this.removeStaleFiles(generation, nextLog);
+  }
+
+  // Older snapshots, the logs folded into the current one and the legacy files
+  removeStaleFiles(generation, nextLog) {
+    for (const name of fs.readdirSync(this.dir)) {
+      const log = name.match(LOG_FILE);
+      const snapshot = name.match(SNAPSHOT_FILE);
+      if ((log && parseInt(log[1], 10) < nextLog) ||
+          (snapshot && parseInt(snapshot[2], 10) !== generation) ||
+          name === LEGACY_SNAPSHOT || name === LEGACY_LOG) {
+        fs.rmSync(this.filePath(name), { force: true });
+      }
+    }
+  }
+
+  getStats() {
+    return {
+      dir: this.dir,
+      generation: this.generation,
+      logEntries: this.logEntries,
+      compacting: Boolean(this.compacting),
+      lastCompactedAt: this.lastCompactedAt
+    };
+  }
+}
+
+exports.IndexStore = IndexStore;
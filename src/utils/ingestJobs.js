@@ -0,0 +1,124 @@
+// Background ingestion jobs. Each job processes its files one at a time and
+// emits an "update" event with the job snapshot whenever its progress changes.
+// Cancelling stops the job before its next file; the file in progress finishes.
+const { EventEmitter } = require('events');
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+const MAX_FINISHED_JOBS = 100;
+
+class IngestJobManager extends EventEmitter {
+  constructor() {
+    super();
+    this.jobs = new Map();
+    this.nextJobId = 1;
+  }
+
+  // items: [{ fileName, ... }]; runItem(item) resolves to { added, skipped, replaced, failed, errors };
+  // discardItem(item) releases anything an unprocessed item holds (e.g. a temp upload)
+  start(items, { source, runItem, discardItem = () => {} }) {
+    const job = {
+      id: `ingest-${this.nextJobId++}`,
+      source,
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      completedAt: null,
+      cancelRequested: false,
+      counts: { added: 0, skipped: 0, replaced: 0, failed: 0 },
+      files: items.map(item => ({
+        fileName: item.fileName,
+        status: 'pending',
+        added: 0,
+        skipped: 0,
+        replaced: 0,
+        failed: 0,
+        errors: []
+      })),
+      error: null
+    };
+    this.jobs.set(job.id, job);
+    this.prune();
+    setImmediate(() => this.run(job, items, runItem, discardItem));
+    return job;
+  }
+
+  async run(job, items, runItem, discardItem) {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    this.update(job);
+    try {
+      for (let i = 0; i < items.length; i++) {
+        const file = job.files[i];
+        if (job.cancelRequested) {
+          file.status = 'cancelled';
+          discardItem(items[i]);
+          continue;
+        }
+        file.status = 'processing';
+        this.update(job);
+        try {
+          const counts = await runItem(items[i]);
+          Object.assign(file, counts, { status: counts.failed ? 'failed' : 'done' });
+          for (const key of Object.keys(job.counts)) job.counts[key] += counts[key] || 0;
+        } catch (error) {
+          file.status = 'failed';
+          file.errors.push({ fileName: file.fileName, error: error.message });
+        }
+        this.update(job);
+      }
+      job.status = job.cancelRequested ? 'cancelled' : 'completed';
+    } catch (error) {
+      job.status = 'failed';
+      job.error = error.message;
+    }
+    job.completedAt = new Date().toISOString();
+    this.update(job);
+  }
+
+  update(job) {
+    this.emit('update', this.snapshot(job));
+  }
+
+  cancel(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) return null;
+    if (!TERMINAL_STATUSES.includes(job.status)) {
+      job.cancelRequested = true;
+      this.update(job);
+    }
+    return this.snapshot(job);
+  }
+
+  get(jobId) {
+    const job = this.jobs.get(jobId);
+    return job ? this.snapshot(job) : null;
+  }
+
+  list() {
+    return Array.from(this.jobs.values()).map(job => this.snapshot(job));
+  }
+
+  snapshot(job) {
+    const done = job.files.filter(f => !['pending', 'processing'].includes(f.status)).length;
+    return {
+      ...job,
+      files: job.files.map(f => ({ ...f, errors: f.errors.slice() })),
+      counts: { ...job.counts },
+      progress: job.files.length ? done / job.files.length : 1
+    };
+  }
+
+  isFinished(job) {
+    return TERMINAL_STATUSES.includes(job.status);
+  }
+
+  // Drop the oldest finished jobs so the map does not grow forever
+  prune() {
+    const finished = Array.from(this.jobs.values()).filter(job => this.isFinished(job));
+    finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))
+      .forEach(job => this.jobs.delete(job.id));
+  }
+}
+
+exports.IngestJobManager = IngestJobManager;
+exports.TERMINAL_STATUSES = TERMINAL_STATUSES;
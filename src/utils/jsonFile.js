@@ -0,0 +1,32 @@
+// One JSON file in the data directory (VERTEXDB_DATA_DIR, default ./data), which
+// holds everything the server persists. Writes go to a temp file that is then
+// renamed over the old one, so a crash mid-write never leaves a truncated file.
+// options.mode sets the file permissions (e.g. 0o600 for files holding secrets).
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.VERTEXDB_DATA_DIR || path.join(process.cwd(), 'data');
+
+class JsonFile {
+  constructor(fileName, options = {}) {
+    this.dir = options.dir || DATA_DIR;
+    this.filePath = path.join(this.dir, fileName);
+    this.mode = options.mode;
+  }
+
+  // The parsed contents, or `fallback` while the file does not exist yet
+  read(fallback) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    if (!fs.existsSync(this.filePath)) return fallback;
+    return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+  }
+
+  write(value) {
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(value), { mode: this.mode });
+    fs.renameSync(tmpPath, this.filePath);
+  }
+}
+
+exports.DATA_DIR = DATA_DIR;
+exports.JsonFile = JsonFile;
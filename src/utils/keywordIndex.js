@@ -0,0 +1,82 @@
+// In-memory BM25 inverted index over chunk text.
+// Tokens keep identifiers intact ("k12", "w-104", "dcu-f23") and also index
+// their parts, so both "DCU-F23" and "F23" match.
+const K1 = 1.2;
+const B = 0.75;
+
+const tokenize = (text) => {
+  const tokens = [];
+  const matches = String(text || '').toLowerCase().match(/[a-z0-9]+(?:[-_./][a-z0-9]+)*/g) || [];
+  for (const token of matches) {
+    tokens.push(token);
+    if (/[-_./]/.test(token)) {
+      tokens.push(...token.split(/[-_./]/).filter(Boolean));
+    }
+  }
+  return tokens;
+};
+
+class KeywordIndex {
+  constructor() {
+    this.postings = new Map(); // term -> Map(id -> term frequency)
+    this.docTerms = new Map(); // id -> Map(term -> term frequency)
+    this.totalLength = 0;
+  }
+
+  // Adding an id that is already indexed replaces its entry
+  add(id, text) {
+    this.remove(id);
+    const tokens = tokenize(text);
+    const terms = new Map();
+    for (const token of tokens) {
+      terms.set(token, (terms.get(token) || 0) + 1);
+    }
+    this.docTerms.set(id, { terms, length: tokens.length });
+    this.totalLength += tokens.length;
+    for (const [term, tf] of terms) {
+      if (!this.postings.has(term)) this.postings.set(term, new Map());
+      this.postings.get(term).set(id, tf);
+    }
+  }
+
+  remove(id) {
+    const entry = this.docTerms.get(id);
+    if (!entry) return;
+    for (const term of entry.terms.keys()) {
+      const posting = this.postings.get(term);
+      posting.delete(id);
+      if (!posting.size) this.postings.delete(term);
+    }
+    this.totalLength -= entry.length;
+    this.docTerms.delete(id);
+  }
+
+  clear() {
+    this.postings.clear();
+    this.docTerms.clear();
+    this.totalLength = 0;
+  }
+
+  // Returns [{ id, score }] sorted by BM25 score, best first
+  search(query) {
+    const n = this.docTerms.size;
+    if (!n) return [];
+    const avgLength = this.totalLength / n || 1;
+    const scores = new Map();
+    for (const term of new Set(tokenize(query))) {
+      const posting = this.postings.get(term);
+      if (!posting) continue;
+      const idf = Math.log(1 + (n - posting.size + 0.5) / (posting.size + 0.5));
+      for (const [id, tf] of posting) {
+        const length = this.docTerms.get(id).length;
+        const score = idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * length / avgLength));
+        scores.set(id, (scores.get(id) || 0) + score);
+      }
+    }
+    return Array.from(scores, ([id, score]) => ({ id, score }))
+      .sort((a, b) => b.score - a.score);
+  }
+}
+
+exports.KeywordIndex = KeywordIndex;
+exports.tokenize = tokenize;
@@ -0,0 +1,152 @@
+// Single entry point for text generation. Models are looked up by ID in the model
+// registry (MCP_Server in server.js): the entry's `model` is the Gemini model to
+// call and its `parameters` (temperature, max_tokens, top_p, top_k) become the
+// generationConfig. Calls go through the shared geminiClient (request budget and
+// retries on 429/5xx), are bounded by a timeout, and fail with an LLMError that
+// carries the HTTP status to answer with.
+const { geminiClient } = require('./geminiClient');
+const { recordUsage, estimateTokens } = require('./usage');
+
+const DEFAULT_MODEL_ID = process.env.LLM_DEFAULT_MODEL || 'gemini-flash';
+const TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS || '60000', 10);
+
+// Registry parameter -> generationConfig field
+const PARAMETER_NAMES = {
+  temperature: 'temperature',
+  max_tokens: 'maxOutputTokens',
+  top_p: 'topP',
+  top_k: 'topK'
+};
+
+class LLMError extends Error {
+  constructor(message, status, code) {
+    super(message);
+    this.name = 'LLMError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const toGenerationConfig = (parameters = {}) => Object.fromEntries(
+  Object.entries(PARAMETER_NAMES)
+    .filter(([key]) => parameters[key] !== undefined && parameters[key] !== null)
+    .map(([key, name]) => [name, parameters[key]])
+);
+
+// Errors from geminiClient carry the upstream status (after its retries ran out)
+const mapError = (error, modelId) => {
+  if (error instanceof LLMError) return error;
+  const status = error.status;
+  if (status === 429) return new LLMError(`Model ${modelId} is rate limited, try again later`, 429, 'rate_limited');
+  if (status === 401 || status === 403) return new LLMError('Gemini rejected the API key', 502, 'auth_failed');
+  if (status === 404) return new LLMError(`Model ${modelId} is not available`, 502, 'model_unavailable');
+  if (status >= 500) return new LLMError(`Model ${modelId} is temporarily unavailable`, 503, 'unavailable');
+  if (status) return new LLMError(`Gemini rejected the request: ${error.message}`, 502, 'upstream_error');
+  return new LLMError(`Could not reach Gemini: ${error.message}`, 502, 'network_error');
+};
+
+const responseText = (data) => {
+  const blockReason = data.promptFeedback?.blockReason;
+  if (blockReason) throw new LLMError(`Gemini blocked the prompt (${blockReason})`, 422, 'blocked');
+  const candidate = data.candidates?.[0];
+  const text = (candidate?.content?.parts || []).map(part => part.text || '').join('');
+  if (!text && candidate?.finishReason === 'SAFETY') {
+    throw new LLMError('Gemini blocked the answer (SAFETY)', 422, 'blocked');
+  }
+  return text;
+};
+
+class LLMClient {
+  constructor(options = {}) {
+    this.client = options.client || geminiClient;
+    this.registry = options.registry || null; // anything with async getModel(modelId)
+    this.defaultModelId = options.defaultModelId || DEFAULT_MODEL_ID;
+    this.timeoutMs = options.timeoutMs ?? TIMEOUT_MS;
+  }
+
+  useRegistry(registry) {
+    this.registry = registry;
+  }
+
+  // { modelId, model, generationConfig } for a registered LLM (the default one when omitted)
+  async resolve(modelId) {
+    const id = modelId || this.defaultModelId;
+    const entry = this.registry ? await this.registry.getModel(id) : null;
+    if (!entry || entry.type !== 'llm') throw new LLMError(`Unknown modelId: ${id}`, 400, 'unknown_model');
+    return { modelId: id, model: entry.model || id, generationConfig: toGenerationConfig(entry.parameters) };
+  }
+
+  async hasModel(modelId) {
+    try {
+      await this.resolve(modelId);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Resolves the model and runs send(model, body, signal) under the timeout.
+  // options.generationConfig is merged over the registry parameters.
+  async call(prompt, options, send) {
+    const { modelId, model, generationConfig } = await this.resolve(options.modelId);
+    if (!process.env.GEMINI_API_KEY) {
+      throw new LLMError('GEMINI_API_KEY missing in environment.', 500, 'not_configured');
+    }
+    const body = {
+      contents: [{ parts: [{ text: prompt }] }],
+      generationConfig: { ...generationConfig, ...options.generationConfig }
+    };
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    if (options.signal) {
+      if (options.signal.aborted) abort();
+      else options.signal.addEventListener('abort', abort, { once: true });
+    }
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, this.timeoutMs);
+    try {
+      const result = await send(model, body, controller.signal);
+      // Counted against the caller's daily quota; estimated if Gemini sent no usageMetadata
+      recordUsage('generation', result.usage || {
+        promptTokenCount: estimateTokens(prompt),
+        candidatesTokenCount: estimateTokens(result.text),
+        totalTokenCount: estimateTokens(prompt) + estimateTokens(result.text)
+      });
+      return { ...result, modelId };
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        // A caller abort (e.g. the client went away) is passed through as is
+        if (!timedOut) throw error;
+        throw new LLMError(`Model ${modelId} did not answer within ${this.timeoutMs} ms`, 504, 'timeout');
+      }
+      throw mapError(error, modelId);
+    } finally {
+      clearTimeout(timer);
+      if (options.signal) options.signal.removeEventListener('abort', abort);
+    }
+  }
+
+  // Resolves to { text, usage, modelId }; usage is Gemini's usageMetadata
+  generate(prompt, options = {}) {
+    return this.call(prompt, options, async (model, body, signal) => {
+      const data = await this.client.request(model, 'generateContent', body, { signal });
+      return { text: responseText(data), usage: data.usageMetadata || null };
+    });
+  }
+
+  // Like generate(), calling onText(delta) as the answer streams in
+  stream(prompt, onText, options = {}) {
+    return this.call(prompt, options, (model, body, signal) =>
+      this.client.streamGenerate(model, body, onText, { signal }));
+  }
+}
+
+// One client per process; server.js attaches the model registry at startup
+const llmClient = new LLMClient();
+
+exports.LLMClient = LLMClient;
+exports.LLMError = LLMError;
+exports.llmClient = llmClient;
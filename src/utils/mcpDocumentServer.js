@@ -0,0 +1,128 @@
+// Model Context Protocol server for the document index, so AI assistants and IDE
+// agents can search, ask and ingest directly. Tools: search_documents, ask,
+// list_documents, ingest_document. Every ingested file is also a resource at
+// kmrc://collections/{collection}/documents/{fileName} (both URI-encoded) holding its
+// indexed text. Tools work on the "default" collection unless told otherwise.
+//
+// An McpServer serves one connection, so createDocumentMcpServer() is called per
+// transport (stdio, or each HTTP/SSE session); options.canIngest decides whether
+// that connection gets ingest_document. The index itself lives in server.js
+// and is reached through `services`:
+//   search(args) -> hits, ask(args) -> /ask response or { status, error },
+//   listDocuments(collection) -> [{ collection, fileName, ... }] (every collection when
+//   undefined), readDocument(fileName, collection) -> text or null,
+//   ingestText(args) -> ingest counts
+const { McpServer, ResourceTemplate } = require('@modelcontextprotocol/sdk/server/mcp.js');
+const { z } = require('zod');
+const pkg = require('../../package.json');
+
+const DOCUMENT_URI = 'kmrc://collections/{collection}/documents/{fileName}';
+
+const documentUri = (fileName, collection) =>
+  `kmrc://collections/${encodeURIComponent(collection)}/documents/${encodeURIComponent(fileName)}`;
+
+const jsonResult = (value) => ({
+  content: [{ type: 'text', text: JSON.stringify(value, null, 2) }]
+});
+
+const errorResult = (message) => ({
+  isError: true,
+  content: [{ type: 'text', text: message }]
+});
+
+// Tool failures are reported to the client as tool errors rather than protocol errors
+const tool = (handler) => async (args) => {
+  try {
+    return await handler(args);
+  } catch (error) {
+    return errorResult(error.message);
+  }
+};
+
+const collectionsShape = {
+  collections: z.array(z.string()).min(1).optional().describe('Collections to search, default ["default"]')
+};
+
+const filterShape = {
+  system: z.string().optional().describe('Only snippets from this system'),
+  subsystem: z.string().optional().describe('Only snippets from this subsystem'),
+  fileName: z.string().optional().describe('Only snippets from this file')
+};
+
+const createDocumentMcpServer = (services, { canIngest = false } = {}) => {
+  const server = new McpServer({ name: 'kmrc-documents', version: pkg.version });
+
+  server.registerTool('search_documents', {
+    title: 'Search documents',
+    description: 'Retrieve the indexed snippets most relevant to a query (hybrid BM25 + vector search by default).',
+    inputSchema: {
+      query: z.string().min(1),
+      k: z.number().int().min(1).max(50).optional().describe('Number of snippets, default 8'),
+      mode: z.enum(['vector', 'keyword', 'hybrid']).optional(),
+      ...collectionsShape,
+      ...filterShape
+    }
+  }, tool(async (args) => jsonResult(await services.search(args))));
+
+  server.registerTool('ask', {
+    title: 'Ask the documents',
+    description: 'Answer a question from the indexed documents with citations, like POST /ask.',
+    inputSchema: {
+      query: z.string().min(1),
+      modelId: z.string().optional().describe('Registered LLM, see GET /api/mcp/models'),
+      conversationId: z.string().optional(),
+      ...collectionsShape,
+      ...filterShape
+    }
+  }, tool(async (args) => {
+    const response = await services.ask(args);
+    return response.error ? errorResult(response.error) : jsonResult(response);
+  }));
+
+  server.registerTool('list_documents', {
+    title: 'List documents',
+    description: 'List the ingested files with their collection and chunk and row counts.',
+    inputSchema: {
+      collection: z.string().optional().describe('Only files in this collection')
+    }
+  }, tool(async ({ collection }) => jsonResult(await services.listDocuments(collection))));
+
+  if (canIngest) {
+    server.registerTool('ingest_document', {
+      title: 'Ingest document',
+      description: 'Index plain text (or CSV) under a file name; an existing file with that name is replaced.',
+      inputSchema: {
+        fileName: z.string().min(1),
+        text: z.string().min(1),
+        mimeType: z.string().optional().describe('Defaults to text/plain'),
+        collection: z.string().optional().describe('Defaults to "default"; see GET /collections'),
+        system: z.string().optional(),
+        subsystem: z.string().optional()
+      }
+    }, tool(async (args) => jsonResult(await services.ingestText(args))));
+  }
+
+  server.registerResource('document', new ResourceTemplate(DOCUMENT_URI, {
+    list: async () => ({
+      resources: (await services.listDocuments()).map(doc => ({
+        uri: documentUri(doc.fileName, doc.collection),
+        name: `${doc.collection}/${doc.fileName}`,
+        mimeType: 'text/plain'
+      }))
+    })
+  }), {
+    title: 'Indexed document',
+    description: 'Text of an ingested file as it was indexed',
+    mimeType: 'text/plain'
+  }, async (uri, { collection, fileName }) => {
+    const name = decodeURIComponent(fileName);
+    const text = await services.readDocument(name, decodeURIComponent(collection));
+    if (text === null) throw new Error(`Document not found: ${name}`);
+    return { contents: [{ uri: uri.href, mimeType: 'text/plain', text }] };
+  });
+
+  return server;
+};
+
+exports.createDocumentMcpServer = createDocumentMcpServer;
+exports.documentUri = documentUri;
@@ -1,12 +1,83 @@
 const Tesseract = require('tesseract.js');
-const pdf = require('pdf-parse');
+const { loadPdf, rasterisePage, rasterToPng } = require('./pdfRaster');
 
-exports.extractTextFromPDF = async (buffer) => {
+// Pages whose text layer has fewer characters than this (page numbers, running
+// headers) are treated as scanned and sent to OCR
+const MIN_TEXT_CHARS = 20;
+
+const RETRY_AFTER_MS = 5 * 60 * 1000; // wait this long after a worker failed to start
+
+// One Tesseract worker per process, so the language data loads once.
+// tesseract.js rethrows worker errors (e.g. language data that fails to download)
+// outside any promise unless given an errorHandler, and then never settles
+// createWorker; those errors are routed into the promise instead. A failed worker
+// cannot be terminated, so retries are spaced out.
+let workerPromise = null;
+let workerFailedAt = 0;
+const getOcrWorker = () => {
+  if (!workerPromise) {
+    if (Date.now() - workerFailedAt < RETRY_AFTER_MS) {
+      return Promise.reject(new Error('OCR worker failed to start recently'));
+    }
+    workerPromise = new Promise((resolve, reject) => {
+      Tesseract.createWorker('eng', undefined, { errorHandler: reject }).then(resolve, reject);
+    }).catch(error => {
+      workerPromise = null;
+      workerFailedAt = Date.now();
+      throw error;
+    });
+  }
+  return workerPromise;
+};
+
+// Text layer of one page, lines rebuilt the way pdf-parse's default renderer does it
+const pageText = async (page) => {
+  const content = await page.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+  let lastY;
+  let text = '';
+  for (const item of content.items) {
+    text += lastY === undefined || lastY === item.transform[5] ? item.str : `\n${item.str}`;
+    lastY = item.transform[5];
+  }
+  return text;
+};
+
+// Per-page text of a PDF: [{ page, text, ocr, ocrConfidence? }] (1-based, pages
+// without text left out). Pages with a text layer are read directly; the others
+// are rasterised and OCR'd, with Tesseract's mean confidence (0-100) kept per page.
+// If OCR cannot run (e.g. the language data fails to load) the remaining pages
+// keep whatever text layer they have.
+exports.extractPdfPages = async (buffer, { ocr = true } = {}) => {
+  const doc = await loadPdf(buffer).promise;
+  const pages = [];
+  let ocrEnabled = ocr;
   try {
-    const result = await Tesseract.recognize(buffer, 'eng');
-    return result.data.text;
-  } catch (error) {
-    console.error('OCR failed:', error);
-    return '[OCR Failed]';
+    for (let n = 1; n <= doc.numPages; n++) {
+      const page = await doc.getPage(n);
+      const text = await pageText(page);
+      let ocrResult = null;
+      if (ocrEnabled && text.replace(/\s/g, '').length < MIN_TEXT_CHARS) {
+        try {
+          const raster = await rasterisePage(page);
+          if (raster) {
+            const worker = await getOcrWorker();
+            const { data } = await worker.recognize(rasterToPng(raster));
+            ocrResult = { text: data.text || '', confidence: Math.round(data.confidence) };
+          }
+        } catch (error) {
+          console.warn(`OCR unavailable, keeping text layer for the rest of the PDF: ${error.message || error}`);
+          ocrEnabled = false;
+        }
+      }
+      page.cleanup();
+      if (ocrResult && ocrResult.text.trim()) {
+        pages.push({ page: n, text: ocrResult.text, ocr: true, ocrConfidence: ocrResult.confidence });
+      } else if (text.trim()) {
+        pages.push({ page: n, text, ocr: false });
+      }
+    }
+  } finally {
+    doc.destroy();
   }
+  return pages;
 };
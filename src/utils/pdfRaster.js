@@ -0,0 +1,169 @@
+// Pure-JS PDF page rasteriser for OCR.
+// Scanned pages are images, so a page is rendered by painting its image
+// XObjects (with their transforms) onto a white greyscale raster; text and
+// vector drawing are left out. Uses the pdf.js build bundled with pdf-parse,
+// with native image decoding off so JPEG/JBIG2/CCITT images arrive as pixels.
+const zlib = require('zlib');
+const PDFJS = require('pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js');
+
+PDFJS.disableWorker = true;
+
+const { OPS } = PDFJS;
+const GRAYSCALE_1BPP = 1;
+const RGB_24BPP = 2;
+const RGBA_32BPP = 3;
+const DEFAULT_DPI = parseInt(process.env.OCR_DPI || '300', 10);
+const MAX_DIMENSION = 5000; // pixels per side, keeps a page raster under ~25 MB
+
+// Copy into a fresh Uint8Array: small Buffers share Node's pool, and pdf.js would
+// otherwise read the whole pool as the file
+const loadPdf = (buffer) =>
+  PDFJS.getDocument({ data: new Uint8Array(buffer), nativeImageDecoderSupport: 'none' });
+
+const multiply = (m, n) => [
+  m[0] * n[0] + m[2] * n[1],
+  m[1] * n[0] + m[3] * n[1],
+  m[0] * n[2] + m[2] * n[3],
+  m[1] * n[2] + m[3] * n[3],
+  m[0] * n[4] + m[2] * n[5] + m[4],
+  m[1] * n[4] + m[3] * n[5] + m[5]
+];
+
+const invert = ([a, b, c, d, e, f]) => {
+  const det = a * d - b * c;
+  if (!det) return null;
+  return [d / det, -b / det, -c / det, a / det, (c * f - d * e) / det, (b * e - a * f) / det];
+};
+
+// Grey level (0-255) of image pixel (x, y), or null when it is transparent
+const samplePixel = (img, x, y) => {
+  const { width, data, kind } = img;
+  if (img.isMask) {
+    const byte = data[y * Math.ceil(width / 8) + (x >> 3)];
+    return byte & (128 >> (x & 7)) ? null : 0;
+  }
+  if (kind === GRAYSCALE_1BPP) {
+    const byte = data[y * Math.ceil(width / 8) + (x >> 3)];
+    return byte & (128 >> (x & 7)) ? 255 : 0;
+  }
+  if (kind === RGB_24BPP) {
+    const i = (y * width + x) * 3;
+    return Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
+  }
+  if (kind === RGBA_32BPP) {
+    const i = (y * width + x) * 4;
+    if (data[i + 3] < 128) return null;
+    return Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
+  }
+  return null;
+};
+
+// Paint an image occupying the unit square of `transform` (device space) onto the raster
+const paintImage = (raster, img, transform) => {
+  const inverse = invert(transform);
+  if (!inverse || !img || !img.data) return;
+  const corners = [[0, 0], [1, 0], [0, 1], [1, 1]].map(([u, v]) => [
+    transform[0] * u + transform[2] * v + transform[4],
+    transform[1] * u + transform[3] * v + transform[5]
+  ]);
+  const xs = corners.map(p => p[0]);
+  const ys = corners.map(p => p[1]);
+  const x0 = Math.max(0, Math.floor(Math.min(...xs)));
+  const x1 = Math.min(raster.width, Math.ceil(Math.max(...xs)));
+  const y0 = Math.max(0, Math.floor(Math.min(...ys)));
+  const y1 = Math.min(raster.height, Math.ceil(Math.max(...ys)));
+  const [a, b, c, d, e, f] = inverse;
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) {
+      const px = x + 0.5;
+      const py = y + 0.5;
+      const u = a * px + c * py + e;
+      const v = b * px + d * py + f;
+      if (u < 0 || u >= 1 || v < 0 || v >= 1) continue;
+      // Image row 0 is the top of the unit square (v = 1)
+      const grey = samplePixel(img, Math.floor(u * img.width), Math.floor((1 - v) * img.height));
+      if (grey !== null) raster.data[y * raster.width + x] = grey;
+    }
+  }
+};
+
+const resolveObject = (page, objId) => new Promise(resolve => page.objs.get(objId, resolve));
+
+// Render a pdf.js page to { width, height, data } (8-bit greyscale, row-major).
+// Returns null when the page has no images to render.
+const rasterisePage = async (page, { dpi = DEFAULT_DPI } = {}) => {
+  const base = page.getViewport(1);
+  const scale = Math.min(dpi / 72, MAX_DIMENSION / Math.max(base.width, base.height));
+  const viewport = page.getViewport(scale);
+  const raster = {
+    width: Math.ceil(viewport.width),
+    height: Math.ceil(viewport.height),
+    data: null
+  };
+  const { fnArray, argsArray } = await page.getOperatorList();
+  let transform = viewport.transform;
+  const stack = [];
+  let painted = 0;
+  for (let i = 0; i < fnArray.length; i++) {
+    const args = argsArray[i];
+    let img = null;
+    switch (fnArray[i]) {
+      case OPS.save: stack.push(transform); continue;
+      case OPS.restore: transform = stack.pop() || transform; continue;
+      case OPS.transform: transform = multiply(transform, args); continue;
+      case OPS.paintImageXObject: img = await resolveObject(page, args[0]); break;
+      case OPS.paintInlineImageXObject: img = args[0]; break;
+      case OPS.paintImageMaskXObject: img = { ...args[0], isMask: true }; break;
+      default: continue;
+    }
+    if (!raster.data) raster.data = new Uint8Array(raster.width * raster.height).fill(255);
+    paintImage(raster, img, transform);
+    painted++;
+  }
+  return painted ? raster : null;
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (buf) => {
+  let c = 0xffffffff;
+  for (const byte of buf) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+};
+
+const pngChunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+};
+
+// Encode a greyscale raster as PNG (what Tesseract reads)
+const rasterToPng = ({ width, height, data }) => {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 0; // colour type: greyscale
+  const rows = Buffer.alloc((width + 1) * height);
+  for (let y = 0; y < height; y++) {
+    rows[y * (width + 1)] = 0; // filter: none
+    rows.set(data.subarray(y * width, (y + 1) * width), y * (width + 1) + 1);
+  }
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(rows)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+};
+
+exports.loadPdf = loadPdf;
+exports.rasterisePage = rasterisePage;
+exports.rasterToPng = rasterToPng;
@@ -0,0 +1,63 @@
+// Request rate limits for the routes that call Gemini: a fixed window per API key
+// (RATE_LIMIT_PER_KEY) and one per client IP (RATE_LIMIT_PER_IP), both over
+// RATE_LIMIT_WINDOW_MS. A request must fit in both; over either it gets a 429
+// with Retry-After. Counters live in memory and start over on restart.
+const WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW_MS || '60000', 10);
+const PER_KEY = parseInt(process.env.RATE_LIMIT_PER_KEY || '60', 10);
+const PER_IP = parseInt(process.env.RATE_LIMIT_PER_IP || '120', 10);
+const PRUNE_ABOVE = 1000; // expired windows are dropped once this many are tracked
+
+class RateLimiter {
+  constructor(max, windowMs = WINDOW_MS) {
+    this.max = max;
+    this.windowMs = windowMs;
+    this.windows = new Map(); // key -> { start, count }
+  }
+
+  // Counts one request for key: { allowed, remaining, retryAfterMs }
+  hit(key, now = Date.now()) {
+    if (this.windows.size > PRUNE_ABOVE) this.prune(now);
+    let window = this.windows.get(key);
+    if (!window || now - window.start >= this.windowMs) {
+      window = { start: now, count: 0 };
+      this.windows.set(key, window);
+    }
+    window.count++;
+    return {
+      allowed: window.count <= this.max,
+      remaining: Math.max(0, this.max - window.count),
+      retryAfterMs: window.start + this.windowMs - now
+    };
+  }
+
+  prune(now) {
+    for (const [key, window] of this.windows) {
+      if (now - window.start >= this.windowMs) this.windows.delete(key);
+    }
+  }
+}
+
+const perKey = new RateLimiter(PER_KEY);
+const perIp = new RateLimiter(PER_IP);
+
+// Middleware (after authentication)
+const rateLimit = (req, res, next) => {
+  const checks = [];
+  if (req.principal && req.principal.via !== 'anonymous') checks.push(['API key', perKey, req.principal.id]);
+  checks.push(['IP address', perIp, req.ip]);
+  for (const [label, limiter, key] of checks) {
+    const result = limiter.hit(key);
+    if (!result.allowed) {
+      const retryAfter = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: `Rate limit exceeded for this ${label}: ${limiter.max} requests per ${limiter.windowMs / 1000}s`,
+        retryAfter
+      });
+    }
+  }
+  next();
+};
+
+exports.RateLimiter = RateLimiter;
+exports.rateLimit = rateLimit;
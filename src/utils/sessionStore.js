@@ -0,0 +1,88 @@
+// express-session store kept in sessions.json in the data directory, so Google
+// sign-ins and key sessions survive restarts and redeploys (the default MemoryStore
+// loses them, and never frees sessions that expire without a logout).
+// Expired sessions are dropped on load and whenever the file is written. Sessions
+// hold Google refresh tokens, so the file is readable by its owner only.
+const session = require('express-session');
+const { JsonFile } = require('./jsonFile');
+
+const SAVE_DELAY_MS = 2000;
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000; // for cookies without maxAge
+
+// Plain JSON copy, so later changes to req.session never reach the stored one
+const copy = (value) => JSON.parse(JSON.stringify(value));
+
+const expiresAt = (sess) => {
+  const expires = sess.cookie && sess.cookie.expires ? new Date(sess.cookie.expires).getTime() : NaN;
+  return Number.isNaN(expires) ? Date.now() + DEFAULT_TTL_MS : expires;
+};
+
+class FileSessionStore extends session.Store {
+  constructor(options = {}) {
+    super();
+    this.file = new JsonFile('sessions.json', { ...options, mode: 0o600 });
+    this.sessions = new Map(); // sid -> { session, expiresAt }
+    this.saveTimer = null;
+  }
+
+  load() {
+    this.sessions = new Map(Object.entries(this.file.read({})));
+    this.prune();
+  }
+
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    this.prune();
+    this.file.write(Object.fromEntries(this.sessions));
+  }
+
+  // touch() runs on most requests, so the expiry updates it makes are coalesced
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY_MS);
+    this.saveTimer.unref();
+  }
+
+  prune(now = Date.now()) {
+    for (const [sid, entry] of this.sessions) {
+      if (entry.expiresAt <= now) this.sessions.delete(sid);
+    }
+  }
+
+  saveAndCallback(callback) {
+    try {
+      this.save();
+    } catch (error) {
+      return callback && callback(error);
+    }
+    if (callback) callback();
+  }
+
+  get(sid, callback) {
+    const entry = this.sessions.get(sid);
+    callback(null, entry && entry.expiresAt > Date.now() ? copy(entry.session) : null);
+  }
+
+  set(sid, sess, callback) {
+    this.sessions.set(sid, { session: copy(sess), expiresAt: expiresAt(sess) });
+    this.saveAndCallback(callback);
+  }
+
+  destroy(sid, callback) {
+    this.sessions.delete(sid);
+    this.saveAndCallback(callback);
+  }
+
+  touch(sid, sess, callback) {
+    const entry = this.sessions.get(sid);
+    if (entry) {
+      entry.session.cookie = copy(sess.cookie);
+      entry.expiresAt = expiresAt(sess);
+      this.scheduleSave();
+    }
+    if (callback) callback();
+  }
+}
+
+exports.FileSessionStore = FileSessionStore;
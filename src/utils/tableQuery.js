@@ -0,0 +1,185 @@
+// Filter / group-by / aggregate / sort over parsed spreadsheet tables.
+//
+// A query spec looks like:
+// {
+//   table: { fileName, sheetName },          // optional; otherwise every table with the referenced columns
+//   filters: [{ column, op, value }],        // op: eq, ne, contains, in, gt, gte, lt, lte, before, after, empty, notEmpty
+//   groupBy: ["Subsystem"],
+//   aggregates: [{ op: "count" | "sum" | "avg" | "min" | "max", column, as }],
+//   columns: ["Job Card", "Status"],         // projection when not aggregating
+//   sort: [{ column, direction: "asc" | "desc" }],
+//   limit: 100
+// }
+// Column names match case-insensitively.
+const FILTER_OPS = ['eq', 'ne', 'contains', 'in', 'gt', 'gte', 'lt', 'lte', 'before', 'after', 'empty', 'notEmpty'];
+const AGGREGATE_OPS = ['count', 'sum', 'avg', 'min', 'max'];
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 5000;
+
+// Excel stores dates as days since 1899-12-30; 20000..80000 covers 1954..2119
+const excelSerialToTime = (n) => (n - 25569) * 86400000;
+const isExcelSerial = (n) => n > 20000 && n < 80000;
+
+const toNumber = (v) => {
+  if (typeof v === 'number') return v;
+  const s = String(v ?? '').trim().replace(/,/g, '');
+  return s !== '' && !Number.isNaN(Number(s)) ? Number(s) : null;
+};
+
+const toTime = (v) => {
+  if (v instanceof Date) return v.getTime();
+  const n = toNumber(v);
+  if (n !== null) return isExcelSerial(n) ? excelSerialToTime(n) : null;
+  const t = Date.parse(String(v ?? ''));
+  return Number.isNaN(t) ? null : t;
+};
+
+const normalise = (v) => String(v ?? '').trim().toLowerCase();
+
+// Order numbers numerically, dates chronologically, everything else as text
+const compareValues = (a, b) => {
+  const na = toNumber(a);
+  const nb = toNumber(b);
+  if (na !== null && nb !== null) return na - nb;
+  const ta = toTime(a);
+  const tb = toTime(b);
+  if (ta !== null && tb !== null) return ta - tb;
+  return normalise(a).localeCompare(normalise(b));
+};
+
+const resolveColumn = (headers, column) => {
+  const wanted = normalise(column);
+  return headers.find(h => normalise(h) === wanted) || null;
+};
+
+const validateSpec = (spec) => {
+  if (!spec || typeof spec !== 'object') throw new Error('Query spec must be an object');
+  for (const f of spec.filters || []) {
+    if (!f.column) throw new Error('Each filter needs a column');
+    if (!FILTER_OPS.includes(f.op || 'eq')) throw new Error(`Unknown filter op: ${f.op}`);
+  }
+  for (const a of spec.aggregates || []) {
+    if (!AGGREGATE_OPS.includes(a.op)) throw new Error(`Unknown aggregate op: ${a.op}`);
+    if (a.op !== 'count' && !a.column) throw new Error(`Aggregate ${a.op} needs a column`);
+  }
+};
+
+const matchesFilter = (value, op = 'eq', expected) => {
+  switch (op) {
+    case 'eq': return compareValues(value, expected) === 0;
+    case 'ne': return compareValues(value, expected) !== 0;
+    case 'contains': return normalise(value).includes(normalise(expected));
+    case 'in': return (Array.isArray(expected) ? expected : [expected]).some(e => normalise(value) === normalise(e));
+    case 'gt': return normalise(value) !== '' && compareValues(value, expected) > 0;
+    case 'gte': return normalise(value) !== '' && compareValues(value, expected) >= 0;
+    case 'lt': return normalise(value) !== '' && compareValues(value, expected) < 0;
+    case 'lte': return normalise(value) !== '' && compareValues(value, expected) <= 0;
+    case 'before':
+    case 'after': {
+      const t = toTime(value);
+      const limit = toTime(expected);
+      if (t === null || limit === null) return false;
+      return op === 'before' ? t < limit : t > limit;
+    }
+    case 'empty': return normalise(value) === '';
+    case 'notEmpty': return normalise(value) !== '';
+    default: return false;
+  }
+};
+
+const aggregate = (op, values) => {
+  if (op === 'count') return values.length;
+  const numbers = values.map(toNumber).filter(n => n !== null);
+  if (!numbers.length) return null;
+  if (op === 'sum') return numbers.reduce((a, b) => a + b, 0);
+  if (op === 'avg') return numbers.reduce((a, b) => a + b, 0) / numbers.length;
+  // reduce rather than Math.min(...numbers), which overflows the stack on large tables
+  if (op === 'min') return numbers.reduce((a, b) => Math.min(a, b));
+  return numbers.reduce((a, b) => Math.max(a, b));
+};
+
+const referencedColumns = (spec) => [
+  ...(spec.filters || []).map(f => f.column),
+  ...(spec.groupBy || []),
+  ...(spec.aggregates || []).filter(a => a.column).map(a => a.column),
+  ...(spec.columns || [])
+];
+
+// tables: [{ fileName, sheetName, headers, rows }]. Returns { columns, rows, totalRows, matched, tables }.
+const runTableQuery = (tables, spec) => {
+  validateSpec(spec);
+  const wanted = spec.table || {};
+  const candidates = tables.filter(t =>
+    (!wanted.fileName || t.fileName === wanted.fileName) &&
+    (!wanted.sheetName || t.sheetName === wanted.sheetName) &&
+    referencedColumns(spec).every(c => resolveColumn(t.headers, c))
+  );
+  if (!candidates.length) throw new Error('No table has all the columns this query uses');
+
+  // Rows keyed by the query's own column names, plus their origin
+  const matchedRows = [];
+  for (const table of candidates) {
+    const col = (name) => resolveColumn(table.headers, name);
+    for (const row of table.rows) {
+      const ok = (spec.filters || []).every(f => matchesFilter(row[col(f.column)], f.op, f.value));
+      if (ok) matchedRows.push({ row, col, fileName: table.fileName, sheetName: table.sheetName });
+    }
+  }
+
+  let columns;
+  let rows;
+  if ((spec.groupBy || []).length || (spec.aggregates || []).length) {
+    const groupBy = spec.groupBy || [];
+    const aggregates = (spec.aggregates || []).length ? spec.aggregates : [{ op: 'count' }];
+    const names = aggregates.map(a => a.as || (a.op === 'count' && !a.column ? 'count' : `${a.op}(${a.column})`));
+    const groups = new Map();
+    for (const m of matchedRows) {
+      const keyValues = groupBy.map(g => m.row[m.col(g)] ?? '');
+      const key = JSON.stringify(keyValues.map(normalise));
+      if (!groups.has(key)) groups.set(key, { keyValues, members: [] });
+      groups.get(key).members.push(m);
+    }
+    columns = [...groupBy, ...names];
+    rows = Array.from(groups.values()).map(({ keyValues, members }) => {
+      const out = {};
+      groupBy.forEach((g, i) => { out[g] = keyValues[i]; });
+      aggregates.forEach((a, i) => {
+        const values = a.column
+          ? members.map(m => m.row[m.col(a.column)]).filter(v => normalise(v) !== '')
+          : members;
+        out[names[i]] = aggregate(a.op, values);
+      });
+      return out;
+    });
+  } else {
+    const projection = (spec.columns || []).length ? spec.columns : null;
+    columns = projection || Array.from(new Set(candidates.flatMap(t => t.headers)));
+    rows = matchedRows.map(m => {
+      const out = {};
+      columns.forEach(c => { out[c] = m.row[m.col(c)] ?? ''; });
+      if (candidates.length > 1) {
+        out._file = m.fileName;
+        out._sheet = m.sheetName;
+      }
+      return out;
+    });
+  }
+
+  for (const s of (spec.sort || []).slice().reverse()) {
+    const dir = s.direction === 'desc' ? -1 : 1;
+    rows.sort((a, b) => dir * compareValues(a[s.column], b[s.column]));
+  }
+
+  const limit = Math.min(spec.limit || DEFAULT_LIMIT, MAX_LIMIT);
+  return {
+    columns,
+    rows: rows.slice(0, limit),
+    totalRows: rows.length,
+    matched: matchedRows.length,
+    tables: candidates.map(t => ({ fileName: t.fileName, sheetName: t.sheetName }))
+  };
+};
+
+exports.runTableQuery = runTableQuery;
+exports.FILTER_OPS = FILTER_OPS;
+exports.AGGREGATE_OPS = AGGREGATE_OPS;
@@ -0,0 +1,62 @@
+// Parsed spreadsheet/CSV tables kept as-is (headers + row objects) so they can be
+// filtered and aggregated exactly, not just searched by similarity.
+// Written to tables.json in the data directory after every change.
+// Tables belong to a collection like the chunks of their file (see collectionStore.js).
+const { JsonFile } = require('./jsonFile');
+const { DEFAULT_COLLECTION, collectionOf } = require('./collectionStore');
+
+class TableStore {
+  constructor(options = {}) {
+    this.file = new JsonFile('tables.json', options);
+    this.tables = [];
+  }
+
+  load() {
+    this.tables = this.file.read([]);
+  }
+
+  save() {
+    this.file.write(this.tables);
+  }
+
+  // Replace every table of one file. tables: [{ sheetName, headers, rows }]
+  setFileTables(fileName, tables, extra = {}, collection = DEFAULT_COLLECTION) {
+    this.tables = this.tables.filter(t => !(t.fileName === fileName && collectionOf(t) === collection));
+    const ingestedAt = new Date().toISOString();
+    tables.forEach(t => this.tables.push({
+      fileName,
+      sheetName: t.sheetName || '',
+      headers: t.headers,
+      rows: t.rows,
+      ...extra,
+      collection,
+      ingestedAt
+    }));
+    this.save();
+  }
+
+  deleteFile(fileName, collection = DEFAULT_COLLECTION) {
+    const before = this.tables.length;
+    this.tables = this.tables.filter(t => !(t.fileName === fileName && collectionOf(t) === collection));
+    if (this.tables.length !== before) this.save();
+    return before - this.tables.length;
+  }
+
+  // Drops the tables of one collection, or of all of them
+  clear(collection = null) {
+    this.tables = collection ? this.tables.filter(t => collectionOf(t) !== collection) : [];
+    this.save();
+  }
+
+  // Tables of the given collections (all collections when null)
+  all(collections = null) {
+    return collections ? this.tables.filter(t => collections.includes(collectionOf(t))) : this.tables;
+  }
+
+  // Table summaries without the rows
+  list(collections = null) {
+    return this.all(collections).map(({ rows, ...summary }) => ({ ...summary, collection: collectionOf(summary), rowCount: rows.length }));
+  }
+}
+
+exports.TableStore = TableStore;
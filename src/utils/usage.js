@@ -0,0 +1,161 @@
+// Per-caller Gemini usage and daily quotas.
+// Generation tokens come from Gemini's usageMetadata; the embedding endpoints report
+// no token counts, so embedding tokens are estimated from the text length.
+// Usage is attributed to the caller bound by trackCaller (the API key, or the client
+// IP for anonymous requests). The binding follows the request's async work, so
+// background ingest and evaluation jobs count against whoever started them; calls
+// outside any request (startup, MCP stdio) count as "system", which has no quota.
+//
+// Quotas are per UTC day: DAILY_GENERATION_TOKENS and DAILY_EMBEDDING_TOKENS
+// (0 = unlimited). They are checked when a request starts, so the request that
+// crosses a limit still completes. Counters are kept for RETENTION_DAYS in usage.json.
+const { AsyncLocalStorage } = require('async_hooks');
+const { JsonFile } = require('./jsonFile');
+
+const RETENTION_DAYS = 31;
+const SAVE_DELAY_MS = 2000;
+const SYSTEM_CALLER = 'system';
+const CHARS_PER_TOKEN = 4;
+
+const LIMITS = {
+  generation: parseInt(process.env.DAILY_GENERATION_TOKENS || '500000', 10),
+  embedding: parseInt(process.env.DAILY_EMBEDDING_TOKENS || '2000000', 10)
+};
+
+const callerContext = new AsyncLocalStorage();
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const emptyCounters = () => ({
+  generationCalls: 0,
+  promptTokens: 0,
+  outputTokens: 0,
+  generationTokens: 0,
+  embeddingCalls: 0,
+  embeddingTokens: 0
+});
+
+const estimateTokens = (text) => Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+
+// Seconds until the daily counters start over (next UTC midnight)
+const secondsUntilReset = () => {
+  const now = new Date();
+  const reset = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((reset - now.getTime()) / 1000);
+};
+
+class UsageStore {
+  constructor(options = {}) {
+    this.file = new JsonFile('usage.json', options);
+    this.days = {}; // 'YYYY-MM-DD' -> { callerId: counters }
+    this.saveTimer = null;
+  }
+
+  load() {
+    this.days = this.file.read({});
+  }
+
+  save() {
+    const cutoff = new Date(Date.now() - RETENTION_DAYS * 86400000).toISOString().slice(0, 10);
+    for (const day of Object.keys(this.days)) {
+      if (day < cutoff) delete this.days[day];
+    }
+    this.file.write(this.days);
+  }
+
+  // Usage arrives in bursts (batch embeddings), so writes are coalesced
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, SAVE_DELAY_MS);
+    this.saveTimer.unref();
+  }
+
+  get(callerId, day = today()) {
+    return { ...emptyCounters(), ...this.days[day]?.[callerId] };
+  }
+
+  forDay(day = today()) {
+    return Object.entries(this.days[day] || {}).map(([callerId, counters]) => ({ callerId, ...counters }));
+  }
+
+  // usage: Gemini usageMetadata (generation) or { totalTokenCount } (embedding)
+  record(callerId, kind, usage = {}) {
+    const day = today();
+    if (!this.days[day]) this.days[day] = {};
+    const counters = this.days[day][callerId] || (this.days[day][callerId] = emptyCounters());
+    if (kind === 'generation') {
+      counters.generationCalls++;
+      counters.promptTokens += usage.promptTokenCount || 0;
+      counters.outputTokens += usage.candidatesTokenCount || 0;
+      counters.generationTokens += usage.totalTokenCount || 0;
+    } else {
+      counters.embeddingCalls++;
+      counters.embeddingTokens += usage.totalTokenCount || 0;
+    }
+    this.scheduleSave();
+  }
+
+  // { used, limit, remaining } per quota kind for today; remaining is null when unlimited
+  quotas(callerId) {
+    const counters = this.get(callerId);
+    const used = { generation: counters.generationTokens, embedding: counters.embeddingTokens };
+    return Object.fromEntries(Object.entries(LIMITS).map(([kind, limit]) => [kind, {
+      used: used[kind],
+      limit: limit || null,
+      remaining: limit ? Math.max(0, limit - used[kind]) : null
+    }]));
+  }
+
+  // The first of `kinds` the caller has used up today, or null
+  exceeded(callerId, kinds) {
+    if (callerId === SYSTEM_CALLER) return null;
+    const quotas = this.quotas(callerId);
+    const kind = kinds.find(k => quotas[k].limit !== null && quotas[k].remaining === 0);
+    return kind ? { kind, ...quotas[kind], retryAfter: secondsUntilReset() } : null;
+  }
+}
+
+// One store per process, fed from llmClient and the Gemini embedding provider
+const usage = new UsageStore();
+
+const callerIdFor = (req) =>
+  (req.principal && req.principal.via !== 'anonymous' ? `key:${req.principal.id}` : `ip:${req.ip}`);
+
+const currentCaller = () => callerContext.getStore()?.callerId || SYSTEM_CALLER;
+
+const recordUsage = (kind, amounts) => usage.record(currentCaller(), kind, amounts);
+
+// Middleware (after authentication): binds the caller for everything the request runs.
+// Some middleware (multer) continues outside the request's async context; routes
+// using it add trackCaller again after it.
+const trackCaller = (req, res, next) => callerContext.run({ callerId: callerIdFor(req) }, next);
+
+const quotaMessage = (over) =>
+  `Daily ${over.kind} quota of ${over.limit} tokens used up; it resets at 00:00 UTC`;
+
+// Route guard: 429 with Retry-After once the caller has used up one of these quotas
+const requireQuota = (...kinds) => (req, res, next) => {
+  const over = usage.exceeded(currentCaller(), kinds);
+  if (!over) return next();
+  res.set('Retry-After', String(over.retryAfter));
+  res.status(429).json({ error: quotaMessage(over), quota: over.kind, limit: over.limit, retryAfter: over.retryAfter });
+};
+
+// For work that is not an Express route (MCP tools): throws instead of responding
+const assertQuota = (...kinds) => {
+  const over = usage.exceeded(currentCaller(), kinds);
+  if (over) throw new Error(`${quotaMessage(over)} (retry in ${over.retryAfter}s)`);
+};
+
+exports.usage = usage;
+exports.LIMITS = LIMITS;
+exports.estimateTokens = estimateTokens;
+exports.secondsUntilReset = secondsUntilReset;
+exports.currentCaller = currentCaller;
+exports.recordUsage = recordUsage;
+exports.trackCaller = trackCaller;
+exports.requireQuota = requireQuota;
+exports.assertQuota = assertQuota;
@@ -0,0 +1,48 @@
+// Structure-aware chunking: every line of the input must land in some chunk, and
+// only real headings may open a section.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { chunkDocument } = require('../src/utils/chunker');
+
+const allText = (chunks) => chunks.map(c => c.text).join('\n');
+
+test('numbered steps that continue a procedure stay steps', () => {
+  const chunks = chunkDocument([
+    '4.2 Door Control Unit',
+    '1. Isolate the door supply.',
+    '2. Check wire W-104 voltage is 110 V DC',
+    '3. Replace relay K12.'
+  ].join('\n'));
+  assert.equal(chunks.length, 1);
+  assert.deepEqual(chunks[0].headingPath, ['4.2 Door Control Unit']);
+  assert.match(chunks[0].text, /2\. Check wire W-104 voltage is 110 V DC/);
+  assert.deepEqual(chunks[0].blockTypes, ['heading', 'step']);
+});
+
+test('safety notices in capitals are body text, not headings', () => {
+  const chunks = chunkDocument([
+    '4 Doors',
+    'WARNING ISOLATE 750 V DC SUPPLY BEFORE WORK',
+    '',
+    'Remove the DCU cover.'
+  ].join('\n'));
+  assert.match(allText(chunks), /WARNING ISOLATE 750 V DC SUPPLY BEFORE WORK/);
+  chunks.forEach(chunk => assert.deepEqual(chunk.headingPath, ['4 Doors']));
+});
+
+test('headings without body text are kept', () => {
+  const chunks = chunkDocument('5 Brakes\n5.1 Brake Pads\nPads are 12 mm thick.\n6 Couplers');
+  assert.deepEqual(chunks.map(c => c.text), ['5 Brakes\n5.1 Brake Pads\nPads are 12 mm thick.', '6 Couplers']);
+  assert.deepEqual(chunks.map(c => c.headingPath), [['5 Brakes', '5.1 Brake Pads'], ['6 Couplers']]);
+});
+
+test('sentences with several commas stay prose, comma-separated rows become a table', () => {
+  const prose = chunkDocument([
+    'The kit holds a relay, a fuse, a contactor, and a breaker.',
+    'Fit the relay, the fuse, the contactor, and the breaker in that order.'
+  ].join('\n'));
+  assert.deepEqual(prose[0].blockTypes, ['paragraph']);
+
+  const rows = chunkDocument('K12,Relay,24 VDC,Cab 1\nF3,Fuse,10 A,Cab 2\nQ1,Breaker,32 A,Cab 2');
+  assert.deepEqual(rows[0].blockTypes, ['table']);
+});
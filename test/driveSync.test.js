@@ -0,0 +1,149 @@
+// DriveSync against a stubbed Drive client: an in-memory folder tree served through
+// the files.get / files.list shape of googleapis' drive v3, paged like the real API.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DriveSync } = require('../src/utils/driveSync');
+
+const FOLDER_MIME = 'application/vnd.google-apps.folder';
+const ROOT = 'root-folder';
+
+// items: [{ id, name, mimeType, modifiedTime, parent }]
+const stubDrive = (items, { pageSize = 2 } = {}) => {
+  const calls = [];
+  return {
+    calls,
+    files: {
+      get: async ({ fileId }) => {
+        calls.push(['get', fileId]);
+        if (fileId !== ROOT && !items.some(item => item.id === fileId)) throw new Error(`File not found: ${fileId}`);
+        return { data: { id: fileId } };
+      },
+      list: async ({ q, pageToken }) => {
+        calls.push(['list', q, pageToken]);
+        const parent = q.match(/^'([^']+)' in parents/)[1];
+        const children = items
+          .filter(item => item.parent === parent)
+          .map(({ parent: _, ...file }) => file);
+        const start = pageToken ? parseInt(pageToken, 10) : 0;
+        const end = start + pageSize;
+        return { data: { files: children.slice(start, end), nextPageToken: end < children.length ? String(end) : undefined } };
+      }
+    }
+  };
+};
+
+const file = (id, name, parent, modifiedTime = '2026-01-01T00:00:00.000Z', mimeType = 'application/pdf') =>
+  ({ id, name, mimeType, modifiedTime, parent });
+const folder = (id, name, parent) => ({ id, name, mimeType: FOLDER_MIME, parent });
+
+const TREE = [
+  folder('f-doors', 'Doors', ROOT),
+  folder('f-dcu', 'DCU', 'f-doors'),
+  file('d-readme', 'readme.txt', ROOT),
+  file('d-manual', 'manual.pdf', 'f-doors'),
+  file('d-wiring', 'wiring.pdf', 'f-dcu'),
+  file('d-spec', 'spec.pdf', 'f-dcu'),
+  file('d-notes', 'notes.txt', 'f-dcu'),
+  file('d-map', 'layout', 'f-doors', undefined, 'application/vnd.google-apps.map')
+];
+
+const dataDirs = [];
+const newSync = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'drive-sync-'));
+  dataDirs.push(dir);
+  return new DriveSync({ dir });
+};
+test.after(() => dataDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+// Syncs everything plan() returns, as the /drive/sync route does after ingesting it
+const syncAll = (sync, files) => {
+  const result = sync.plan(ROOT, files);
+  result.toSync.forEach(item => sync.markSynced(ROOT, item));
+  return result;
+};
+
+test('walk lists every readable file below the root, across pages and subfolders', async () => {
+  const drive = stubDrive(TREE);
+  const files = await newSync().walk(drive, ROOT);
+  assert.deepEqual(files.map(f => [f.id, f.folderPath.join('/')]).sort(), [
+    ['d-manual', 'Doors'],
+    ['d-notes', 'Doors/DCU'],
+    ['d-readme', ''],
+    ['d-spec', 'Doors/DCU'],
+    ['d-wiring', 'Doors/DCU']
+  ]);
+  // DCU holds three files, so with two per page it takes a second request
+  const dcuPages = drive.calls.filter(([kind, q]) => kind === 'list' && q.startsWith("'f-dcu'"));
+  assert.deepEqual(dcuPages.map(([, , pageToken]) => pageToken), [undefined, '2']);
+});
+
+test('walk fails for a root folder that is not accessible', async () => {
+  await assert.rejects(newSync().walk(stubDrive(TREE), 'no-such-folder'), /File not found: no-such-folder/);
+});
+
+test('plan marks every file as new on the first sync and maps folders to system and subsystem', async () => {
+  const sync = newSync();
+  const { toSync, removed, unchanged } = sync.plan(ROOT, await sync.walk(stubDrive(TREE), ROOT));
+  assert.equal(unchanged, 0);
+  assert.deepEqual(removed, []);
+  assert.ok(toSync.every(item => item.reason === 'new'));
+  const wiring = toSync.find(item => item.driveId === 'd-wiring');
+  assert.equal(wiring.fileName, 'Doors/DCU/wiring.pdf');
+  assert.equal(wiring.system, 'Doors');
+  assert.equal(wiring.subsystem, 'DCU');
+  assert.equal(wiring.previousFileName, null);
+});
+
+test('plan finds changed, moved and removed files after a sync', async () => {
+  const sync = newSync();
+  syncAll(sync, await sync.walk(stubDrive(TREE), ROOT));
+
+  const next = TREE
+    .filter(item => item.id !== 'd-notes')
+    .map(item => {
+      if (item.id === 'd-spec') return { ...item, modifiedTime: '2026-02-01T00:00:00.000Z' };
+      if (item.id === 'd-manual') return { ...item, parent: 'f-dcu' };
+      return item;
+    });
+  const { toSync, removed, unchanged } = sync.plan(ROOT, await sync.walk(stubDrive(next), ROOT));
+
+  assert.deepEqual(toSync.map(item => [item.driveId, item.reason]).sort(), [
+    ['d-manual', 'moved'],
+    ['d-spec', 'changed']
+  ]);
+  const moved = toSync.find(item => item.driveId === 'd-manual');
+  assert.equal(moved.fileName, 'Doors/DCU/manual.pdf');
+  assert.equal(moved.previousFileName, 'Doors/manual.pdf');
+  assert.deepEqual(removed, [{ driveId: 'd-notes', fileName: 'Doors/DCU/notes.txt' }]);
+  assert.equal(unchanged, 2);
+});
+
+test('plan re-syncs unchanged files that are no longer indexed', async () => {
+  const sync = newSync();
+  const files = await sync.walk(stubDrive(TREE), ROOT);
+  syncAll(sync, files);
+  const { toSync, unchanged } = sync.plan(ROOT, files, { isIndexed: (fileName) => fileName !== 'readme.txt' });
+  assert.deepEqual(toSync.map(item => [item.driveId, item.reason]), [['d-readme', 'missing']]);
+  assert.equal(unchanged, 4);
+});
+
+test('sync state survives a reload from the data directory', async () => {
+  const sync = newSync();
+  const files = await sync.walk(stubDrive(TREE), ROOT);
+  syncAll(sync, files);
+  sync.markRemoved(ROOT, 'd-readme');
+  sync.setLastRun(ROOT, { finishedAt: '2026-03-01T00:00:00.000Z' });
+
+  const reloaded = new DriveSync({ dir: sync.file.dir });
+  reloaded.load();
+  assert.deepEqual(reloaded.getStatus(ROOT), {
+    folderId: ROOT,
+    trackedFiles: 4,
+    lastRun: { finishedAt: '2026-03-01T00:00:00.000Z' }
+  });
+  const { toSync } = reloaded.plan(ROOT, files);
+  assert.deepEqual(toSync.map(item => [item.driveId, item.reason]), [['d-readme', 'new']]);
+});
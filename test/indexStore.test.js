@@ -0,0 +1,109 @@
+// IndexStore on a temporary data directory: snapshot + log round trips, writes made
+// while a compaction runs, and migration from the single-file snapshot format.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { IndexStore } = require('../src/utils/indexStore');
+
+const dataDirs = [];
+const newDir = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'index-store-'));
+  dataDirs.push(dir);
+  return dir;
+};
+test.after(() => dataDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+// Embeddings are exact in float32, so round trips compare equal
+const doc = (id, text = `chunk ${id}`) =>
+  ({ id, text, embedding: [id, 0.5, -0.25], embeddingDim: 3, meta: { fileName: 'manual.pdf' } });
+
+const reload = (dir) => {
+  const store = new IndexStore({ dir });
+  return { store, ...store.load() };
+};
+
+test('load replays the log on top of the snapshot', async () => {
+  const dir = newDir();
+  const store = new IndexStore({ dir });
+  store.load();
+  [1, 2, 3].forEach(id => store.append({ op: 'add', doc: doc(id) }));
+  await store.compact([doc(1), doc(2), doc(3)], 4);
+  store.append({ op: 'delete', ids: [2] });
+  store.append({ op: 'add', doc: doc(4) });
+
+  const { documents, nextId, store: reloaded } = reload(dir);
+  assert.deepEqual(documents, [doc(1), doc(3), doc(4)]);
+  assert.equal(nextId, 5);
+  assert.equal(reloaded.logEntries, 2);
+  assert.deepEqual(fs.readdirSync(dir).sort(), [
+    'vertexdb.docs.1.jsonl',
+    'vertexdb.log.1.jsonl',
+    'vertexdb.manifest.json',
+    'vertexdb.vectors.1.f32'
+  ]);
+});
+
+test('writes made during a compaction land in the next log', async () => {
+  const dir = newDir();
+  const store = new IndexStore({ dir });
+  store.load();
+  const live = [doc(1), doc(2)];
+  live.forEach(d => store.append({ op: 'add', doc: d }));
+
+  const compaction = store.compact(live, 3);
+  assert.equal(store.shouldCompact(), false);
+  live.push(doc(3));
+  store.append({ op: 'add', doc: doc(3) });
+  await compaction;
+
+  assert.equal(JSON.parse(fs.readFileSync(path.join(dir, 'vertexdb.manifest.json'), 'utf8')).documents, 2);
+  assert.deepEqual(reload(dir).documents, [doc(1), doc(2), doc(3)]);
+});
+
+test('a compaction that never finished leaves the previous snapshot and logs in charge', async () => {
+  const dir = newDir();
+  const store = new IndexStore({ dir });
+  store.load();
+  store.append({ op: 'add', doc: doc(1) });
+  await store.compact([doc(1)], 2);
+  store.append({ op: 'add', doc: doc(2) });
+  // What a crash mid-write leaves behind: a partial next generation, no manifest update
+  fs.writeFileSync(path.join(dir, 'vertexdb.docs.2.jsonl'), JSON.stringify(doc(1)).slice(0, 10));
+  fs.appendFileSync(path.join(dir, 'vertexdb.log.1.jsonl'), '{"op":"add","doc":{"id":');
+
+  const { documents, store: reloaded } = reload(dir);
+  assert.deepEqual(documents, [doc(1), doc(2)]);
+  await reloaded.compact(documents, 3);
+  assert.deepEqual(reload(dir).documents, [doc(1), doc(2)]);
+  assert.ok(!fs.existsSync(path.join(dir, 'vertexdb.log.1.jsonl')));
+});
+
+test('a logged clear empties the index on replay', async () => {
+  const dir = newDir();
+  const store = new IndexStore({ dir });
+  store.load();
+  await store.compact([doc(1), doc(2)], 3);
+  store.append({ op: 'clear' });
+  store.append({ op: 'add', doc: doc(3) });
+  assert.deepEqual(reload(dir).documents, [doc(3)]);
+});
+
+test('the single-file snapshot format is migrated on the first compaction', async () => {
+  const dir = newDir();
+  fs.writeFileSync(path.join(dir, 'vertexdb.snapshot.json'), JSON.stringify({ nextId: 3, documents: [doc(1), doc(2)] }));
+  fs.writeFileSync(path.join(dir, 'vertexdb.log.jsonl'), JSON.stringify({ op: 'delete', ids: [1] }) + '\n');
+
+  const { store, documents, nextId } = reload(dir);
+  assert.deepEqual(documents, [doc(2)]);
+  assert.equal(store.needsCompaction(), true);
+  await store.compact(documents, nextId);
+
+  assert.ok(!fs.existsSync(path.join(dir, 'vertexdb.snapshot.json')));
+  assert.ok(!fs.existsSync(path.join(dir, 'vertexdb.log.jsonl')));
+  const migrated = reload(dir);
+  assert.deepEqual(migrated.documents, [doc(2)]);
+  assert.equal(migrated.nextId, 3);
+  assert.equal(migrated.store.needsCompaction(), false);
+});
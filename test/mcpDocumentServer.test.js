@@ -0,0 +1,144 @@
+// Protocol-level tests for the MCP document server: a real MCP client talks to it
+// over an in-memory transport, with the index behind `services` replaced by a stub.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+const { createDocumentMcpServer, documentUri } = require('../src/utils/mcpDocumentServer');
+
+const DOCUMENTS = [
+  { collection: 'default', fileName: 'manuals/K12.txt', text: 'Relay K12 coil is 24 VDC.' },
+  { collection: 'ts-12', fileName: 'doors.txt', text: 'Door control unit DCU wiring.' }
+];
+
+const stubServices = () => {
+  const calls = [];
+  return {
+    calls,
+    search: async (args) => {
+      calls.push(['search', args]);
+      if (args.collections && args.collections.includes('nope')) throw new Error('Collection not found: nope');
+      return [{ collection: 'default', fileName: 'manuals/K12.txt', position: 0, score: 0.9, text: DOCUMENTS[0].text }];
+    },
+    ask: async (args) => {
+      calls.push(['ask', args]);
+      return args.modelId === 'bogus'
+        ? { status: 400, error: 'Unknown modelId: bogus' }
+        : { result: { technicalSummary: 'K12 is a 24 VDC relay [1]' }, sources: [] };
+    },
+    listDocuments: async (collection) => DOCUMENTS
+      .filter(doc => collection === undefined || doc.collection === collection)
+      .map(({ collection: name, fileName }) => ({ collection: name, fileName, chunks: 1, rows: 0 })),
+    readDocument: async (fileName, collection) => {
+      const doc = DOCUMENTS.find(d => d.fileName === fileName && d.collection === collection);
+      return doc ? doc.text : null;
+    },
+    ingestText: async (args) => {
+      calls.push(['ingestText', args]);
+      return { added: 1, skipped: 0, replaced: 0, failed: 0, errors: [], collection: args.collection || 'default', total: 3 };
+    }
+  };
+};
+
+const connect = async (services, options) => {
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await createDocumentMcpServer(services, options).connect(serverTransport);
+  const client = new Client({ name: 'test-client', version: '1.0.0' });
+  await client.connect(clientTransport);
+  return client;
+};
+
+const parse = (result) => JSON.parse(result.content[0].text);
+
+test('lists the read tools, and ingest_document only when ingest is allowed', async () => {
+  const reader = await connect(stubServices());
+  const readerTools = (await reader.listTools()).tools.map(t => t.name).sort();
+  assert.deepEqual(readerTools, ['ask', 'list_documents', 'search_documents']);
+  await reader.close();
+
+  const editor = await connect(stubServices(), { canIngest: true });
+  const editorTools = (await editor.listTools()).tools.map(t => t.name).sort();
+  assert.deepEqual(editorTools, ['ask', 'ingest_document', 'list_documents', 'search_documents']);
+  await editor.close();
+});
+
+test('search_documents passes its arguments through and returns the hits as JSON', async () => {
+  const services = stubServices();
+  const client = await connect(services);
+  const result = await client.callTool({
+    name: 'search_documents',
+    arguments: { query: 'relay coil', k: 3, mode: 'keyword', collections: ['default', 'ts-12'] }
+  });
+  assert.equal(result.isError, undefined);
+  assert.equal(parse(result)[0].fileName, 'manuals/K12.txt');
+  assert.deepEqual(services.calls[0], ['search', { query: 'relay coil', k: 3, mode: 'keyword', collections: ['default', 'ts-12'] }]);
+  await client.close();
+});
+
+test('search_documents reports invalid input and service failures as tool errors', async () => {
+  const client = await connect(stubServices());
+  const empty = await client.callTool({ name: 'search_documents', arguments: { query: '' } });
+  assert.equal(empty.isError, true);
+  const unknown = await client.callTool({ name: 'search_documents', arguments: { query: 'x', collections: ['nope'] } });
+  assert.equal(unknown.isError, true);
+  assert.match(unknown.content[0].text, /Collection not found: nope/);
+  await client.close();
+});
+
+test('ask returns the answer, or the error of a rejected request', async () => {
+  const client = await connect(stubServices());
+  const answer = await client.callTool({ name: 'ask', arguments: { query: 'What is K12?' } });
+  assert.equal(parse(answer).result.technicalSummary, 'K12 is a 24 VDC relay [1]');
+  const rejected = await client.callTool({ name: 'ask', arguments: { query: 'What is K12?', modelId: 'bogus' } });
+  assert.equal(rejected.isError, true);
+  assert.equal(rejected.content[0].text, 'Unknown modelId: bogus');
+  await client.close();
+});
+
+test('ingest_document indexes text into the requested collection', async () => {
+  const services = stubServices();
+  const client = await connect(services, { canIngest: true });
+  const result = await client.callTool({
+    name: 'ingest_document',
+    arguments: { fileName: 'notes.txt', text: 'Pump P-101 has a 5 kW motor.', collection: 'ts-12' }
+  });
+  assert.equal(parse(result).added, 1);
+  assert.equal(services.calls[0][1].collection, 'ts-12');
+  await client.close();
+});
+
+test('ingest_document cannot be called without ingest rights', async () => {
+  const services = stubServices();
+  const client = await connect(services);
+  const result = await client.callTool({ name: 'ingest_document', arguments: { fileName: 'notes.txt', text: 'x' } });
+  assert.equal(result.isError, true);
+  assert.match(result.content[0].text, /ingest_document not found/);
+  assert.equal(services.calls.length, 0);
+  await client.close();
+});
+
+test('list_documents filters by collection', async () => {
+  const client = await connect(stubServices());
+  const all = parse(await client.callTool({ name: 'list_documents', arguments: {} }));
+  assert.equal(all.length, 2);
+  const one = parse(await client.callTool({ name: 'list_documents', arguments: { collection: 'ts-12' } }));
+  assert.deepEqual(one.map(d => d.fileName), ['doors.txt']);
+  await client.close();
+});
+
+test('every document is listed as a resource and can be read back', async () => {
+  const client = await connect(stubServices());
+  const { resources } = await client.listResources();
+  assert.deepEqual(resources.map(r => r.uri), [
+    'kmrc://collections/default/documents/manuals%2FK12.txt',
+    'kmrc://collections/ts-12/documents/doors.txt'
+  ]);
+  const read = await client.readResource({ uri: documentUri('manuals/K12.txt', 'default') });
+  assert.equal(read.contents[0].text, DOCUMENTS[0].text);
+  assert.equal(read.contents[0].mimeType, 'text/plain');
+  await assert.rejects(
+    client.readResource({ uri: documentUri('missing.txt', 'default') }),
+    /Document not found: missing.txt/
+  );
+  await client.close();
+});